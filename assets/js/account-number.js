@@ -0,0 +1,97 @@
+// Serbian bank account number helpers
+// Accounts are 18 digits: 3-digit bank code, 13-digit account part and two
+// control digits verified with ISO 7064 MOD 97-10.
+
+(function () {
+    'use strict';
+
+    const ACCOUNT_LENGTH = 18;
+    const SHORT_FORM = /^(\d{3})-(\d{1,13})-(\d{2})$/;
+
+    // Remainder of a long digit string divided by 97
+    function mod97(digits) {
+        let remainder = 0;
+        for (const digit of digits) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+        return remainder;
+    }
+
+    // Control digits for the first 16 digits of an account
+    function computeControlDigits(base) {
+        return String(98 - mod97(`${base}00`)).padStart(2, '0');
+    }
+
+    // Expand short or dashed forms (e.g. 160-5771-16) to 18 digits
+    function normalize(input) {
+        const value = String(input || '').replace(/\s+/g, '');
+
+        if (/^\d{18}$/.test(value)) {
+            return value;
+        }
+
+        const match = value.match(SHORT_FORM);
+        if (match) {
+            return match[1] + match[2].padStart(13, '0') + match[3];
+        }
+
+        return null;
+    }
+
+    function isValid(account) {
+        return (
+            typeof account === 'string' &&
+            account.length === ACCOUNT_LENGTH &&
+            /^\d+$/.test(account) &&
+            mod97(account) === 1
+        );
+    }
+
+    // Display form BBB-AAAAAAAAAAAAA-CC
+    function format(account) {
+        if (!/^\d{18}$/.test(account)) {
+            return account;
+        }
+        return `${account.substring(0, 3)}-${account.substring(3, 16)}-${account.substring(16)}`;
+    }
+
+    // Normalize and verify an account, suggesting a correction if needed
+    function check(input) {
+        const normalized = normalize(input);
+        if (!normalized) {
+            return { normalized: null, valid: false };
+        }
+
+        const expected = computeControlDigits(normalized.substring(0, 16));
+        const valid = normalized.substring(16) === expected;
+
+        return {
+            normalized,
+            valid,
+            bankCode: normalized.substring(0, 3),
+            accountPart: normalized.substring(3, 16),
+            controlNumber: normalized.substring(16),
+            expected,
+            suggestion: valid ? null : normalized.substring(0, 16) + expected,
+            formatted: format(normalized),
+        };
+    }
+
+    const AccountNumber = {
+        mod97,
+        computeControlDigits,
+        normalize,
+        isValid,
+        format,
+        check,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.AccountNumber = AccountNumber;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AccountNumber;
+    }
+})();
@@ -0,0 +1,375 @@
+// NBS account register (Jedinstveni registar računa) query and parser
+// Builds the CompanyAccountResident query (by account, or a reverse search by
+// company name, PIB or MB) and turns the HTML result table into plain
+// objects with blocked and inactive flags. Used by the generator's account
+// lookup and search and by the bundled proxy (proxy/server.js), which parses
+// the page server-side.
+
+(function () {
+    'use strict';
+
+    const { translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    const REGISTER_URL =
+        'https://webappcenter.nbs.rs/PnWebApp/CompanyAccount/CompanyAccountResident';
+
+    // Without recognised headers, a result row has at least this many cells
+    const MIN_CELLS = 10;
+
+    const FIELDS = [
+        'name',
+        'nationalId',
+        'taxId',
+        'address',
+        'city',
+        'municipality',
+        'activity',
+        'bank',
+        'account',
+        'status',
+        'blockStatus',
+        'openDate',
+    ];
+
+    // Header text (lower case, Cyrillic or Latin) of each field's column. The
+    // first match wins, so "Статус рачуна" is a status and "Назив банке" a bank.
+    const COLUMN_HEADERS = [
+        ['blockStatus', /блокад|blokad/],
+        ['openDate', /датум|datum/],
+        ['status', /статус|status/],
+        ['bank', /банк|bank/],
+        ['account', /рачун|račun|racun/],
+        ['taxId', /пиб|pib/],
+        ['nationalId', /матични|matični|maticni|^мб$|^mb$/],
+        ['municipality', /општин|opštin|opstin/],
+        ['city', /место|mesto|град|grad/],
+        ['address', /адрес|adres/],
+        ['activity', /делатност|delatnost/],
+        ['name', /назив|naziv|име|ime/],
+    ];
+
+    // Block status values that mean the account is (not) blocked
+    const BLOCKED = /блокад|blokad|блокиран|blokiran/;
+    const NEGATION = /(^|\s)(не|ne|no|нема|nema|без|bez|није|nije)(\s|$)/;
+
+    // Account status values that mean payments will not go through
+    const INACTIVE =
+        /искључен|isključen|iskljucen|неактиван|neaktivan|угашен|ugašen|ugasen|затворен|zatvoren|брисан|brisan/;
+
+    const ENTITIES = {
+        amp: '&',
+        lt: '<',
+        gt: '>',
+        quot: '"',
+        apos: "'",
+        nbsp: ' ',
+    };
+
+    // Fields of a reverse search and the register parameter for each
+    const SEARCH_FIELDS = {
+        name: 'CompanyName',
+        taxId: 'CompanyTaxCode',
+        nationalId: 'CompanyNationalCode',
+        city: 'City',
+    };
+
+    // Shortest partial company name the register is asked about
+    const MIN_NAME_LENGTH = 3;
+
+    // English fallbacks for messages under accountRegister.* in assets/i18n
+    const MESSAGES = {
+        emptySearch: 'Enter a company name, PIB or registration number (MB)',
+        invalidTaxId: 'PIB must have 9 digits',
+        invalidNationalId: 'Registration number (MB) must have 8 digits',
+        nameTooShort: 'Enter at least {{min}} characters of the company name',
+    };
+
+    const translate = translator('accountRegister', MESSAGES);
+
+    // Query string for an account split by AccountNumber.check, a reverse
+    // search ({ name, taxId, nationalId, city }) or both
+    function buildQuery(criteria = {}) {
+        const params = {
+            isSearchExecuted: 'true',
+            BankCode: criteria.bankCode,
+            AccountNumber: criteria.accountPart,
+            ControlNumber: criteria.controlNumber,
+            CompanyNationalCode: criteria.nationalId,
+            CompanyTaxCode: criteria.taxId,
+            CompanyName: criteria.name,
+            City: criteria.city,
+            TypeID: '1',
+            OrderBy: '',
+            'Pagging.CurrentPage': '1',
+            'Pagging.PageSize': '50',
+        };
+
+        return Object.keys(params)
+            .map((name) => `${name}=${encodeURIComponent(params[name] || '')}`)
+            .join('&');
+    }
+
+    // Trimmed search criteria, or the first reason they cannot be searched
+    function checkSearch(input = {}) {
+        const criteria = {};
+        Object.keys(SEARCH_FIELDS).forEach((field) => {
+            const value = String(input[field] || '').trim();
+            if (value) {
+                criteria[field] = value;
+            }
+        });
+
+        let code = null;
+        if (!criteria.name && !criteria.taxId && !criteria.nationalId) {
+            code = 'emptySearch';
+        } else if (criteria.taxId && !/^\d{9}$/.test(criteria.taxId)) {
+            code = 'invalidTaxId';
+        } else if (
+            criteria.nationalId &&
+            !/^\d{8}$/.test(criteria.nationalId)
+        ) {
+            code = 'invalidNationalId';
+        } else if (criteria.name && criteria.name.length < MIN_NAME_LENGTH) {
+            code = 'nameTooShort';
+        }
+
+        return code
+            ? {
+                  valid: false,
+                  code,
+                  message: translate(code, { min: MIN_NAME_LENGTH }),
+              }
+            : { valid: true, criteria };
+    }
+
+    function decodeEntities(text) {
+        return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                return String.fromCodePoint(
+                    entity[1].toLowerCase() === 'x'
+                        ? parseInt(entity.substring(2), 16)
+                        : parseInt(entity.substring(1), 10)
+                );
+            }
+            const decoded = ENTITIES[entity.toLowerCase()];
+            return decoded !== undefined ? decoded : match;
+        });
+    }
+
+    function cellText(html) {
+        return decodeEntities(html.replace(/<[^>]*>/g, ' '))
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Rows of every <table>, each as { header, cells }; works without a DOM
+    // so Node can use it. Rows with <th> cells are marked as headers. A
+    // nested table keeps its own rows, so a table in a cell (or a layout
+    // table around the results) does not split or merge rows; its text still
+    // reads as part of the cell around it.
+    function parseTables(html) {
+        const tables = [];
+        const open = [];
+        const tagPattern = /<(\/?)(table|tr|td|th)\b[^>]*>/gi;
+        let position = 0;
+        let tag;
+
+        function closeCell(table) {
+            if (table.cell !== null) {
+                table.row.cells.push(cellText(table.cell));
+                table.cell = null;
+            }
+        }
+
+        function closeRow(table) {
+            closeCell(table);
+            if (table.row) {
+                table.rows.push(table.row);
+                table.row = null;
+            }
+        }
+
+        while ((tag = tagPattern.exec(html)) !== null) {
+            const text = `${html.substring(position, tag.index)} `;
+            open.forEach((outer) => {
+                if (outer.cell !== null) {
+                    outer.cell += text;
+                }
+            });
+            position = tagPattern.lastIndex;
+
+            const table = open[open.length - 1];
+
+            const closing = tag[1] === '/';
+            const name = tag[2].toLowerCase();
+            if (name === 'table') {
+                if (!closing) {
+                    const nested = { rows: [], row: null, cell: null };
+                    tables.push(nested);
+                    open.push(nested);
+                } else if (table) {
+                    closeRow(table);
+                    open.pop();
+                }
+            } else if (table && name === 'tr') {
+                closeRow(table);
+                if (!closing) {
+                    table.row = { header: false, cells: [] };
+                }
+            } else if (table) {
+                closeCell(table);
+                if (!closing) {
+                    table.row = table.row || { header: false, cells: [] };
+                    table.row.header = table.row.header || name === 'th';
+                    table.cell = '';
+                }
+            }
+        }
+
+        // Tables left open at the end of the page
+        open.forEach((table) => {
+            if (table.cell !== null) {
+                table.cell += html.substring(position);
+            }
+            closeRow(table);
+        });
+        return tables.map((table) => table.rows);
+    }
+
+    // Field for each column, from its header text; null when the name or
+    // account column cannot be found
+    function mapColumns(headers) {
+        const columns = {};
+        headers.forEach((header, index) => {
+            const text = header.toLowerCase();
+            const match = COLUMN_HEADERS.find(
+                ([field, pattern]) =>
+                    columns[field] === undefined && pattern.test(text)
+            );
+            if (match) {
+                columns[match[0]] = index;
+            }
+        });
+
+        return columns.name !== undefined && columns.account !== undefined
+            ? columns
+            : null;
+    }
+
+    function isBlocked(text) {
+        const value = text.trim().toLowerCase();
+        if (!value || NEGATION.test(value)) {
+            return false;
+        }
+        return /^(да|da|yes)$/.test(value) || BLOCKED.test(value);
+    }
+
+    function isInactive(text) {
+        return INACTIVE.test(text.toLowerCase());
+    }
+
+    // Add the blocked and inactive flags the generator warns about
+    function withFlags(info) {
+        return {
+            ...info,
+            blocked: isBlocked(info.blockStatus),
+            inactive: isInactive(info.status),
+        };
+    }
+
+    function fromColumns(cells, columns) {
+        const info = {};
+        FIELDS.forEach((field) => {
+            info[field] =
+                columns[field] !== undefined ? cells[columns[field]] || '' : '';
+        });
+        return withFlags(info);
+    }
+
+    function findCellWithPattern(cellTexts, pattern) {
+        return cellTexts.find((text) => text && pattern.test(text)) || '';
+    }
+
+    // Positional fallback for tables whose headers are not recognised
+    function toAccountInfo(cellTexts) {
+        return withFlags({
+            name: cellTexts[0] || '',
+            nationalId: cellTexts[1] || '',
+            taxId: cellTexts[2] || '',
+            address: cellTexts[3] || '',
+            city: cellTexts[4] || '',
+            municipality: cellTexts[5] || '',
+            activity: cellTexts[6] || '',
+            bank: cellTexts[7] || '',
+            // Account number in the XXX-XXXXXXXXXXXXX-XX form
+            account: findCellWithPattern(cellTexts, /\d{3}-\d{13}-\d{2}/),
+            // Status such as "Укључен"
+            status: findCellWithPattern(cellTexts, /Укључен|Искључен|Активан/),
+            // Block status contains "блокад"
+            blockStatus: findCellWithPattern(cellTexts, /блокад/i),
+            // Opening date in DD.MM.YYYY form
+            openDate: findCellWithPattern(cellTexts, /\d{1,2}\.\d{1,2}\.\d{4}/),
+        });
+    }
+
+    // Header row of a table: the first row with <th> cells, else the first
+    function headerIndex(rows) {
+        return Math.max(
+            rows.findIndex((row) => row.header),
+            0
+        );
+    }
+
+    // Every row of a register result page, one entry per account. The
+    // results table is the one whose header row names the name and account
+    // columns; its columns are mapped from that row.
+    function parse(html) {
+        const tables = parseTables(html);
+
+        for (const rows of tables) {
+            const index = headerIndex(rows);
+            const columns = rows[index] ? mapColumns(rows[index].cells) : null;
+            if (!columns) {
+                continue;
+            }
+
+            const lastColumn = Math.max(...Object.values(columns));
+            return rows
+                .slice(index + 1)
+                .filter(
+                    (row) =>
+                        !row.header &&
+                        row.cells.length > lastColumn &&
+                        row.cells[columns.name]
+                )
+                .map((row) => fromColumns(row.cells, columns));
+        }
+
+        // No recognised headers: rows with enough cells in any table
+        return tables
+            .flatMap((rows) => rows.slice(headerIndex(rows) + 1))
+            .filter((row) => row.cells.length >= MIN_CELLS)
+            .map((row) => toAccountInfo(row.cells));
+    }
+
+    const AccountRegister = {
+        REGISTER_URL,
+        SEARCH_FIELDS,
+        buildQuery,
+        checkSearch,
+        parseTables,
+        parse,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.AccountRegister = AccountRegister;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AccountRegister;
+    }
+})();
@@ -0,0 +1,167 @@
+// Amount (I tag) parsing, normalization and formatting
+// Accepts what people type (1.234,56 / 1234.56 / 1 234,56, with or without
+// the RSD prefix) and produces the IPS form RSD1234,56.
+
+(function () {
+    'use strict';
+
+    const { translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    const CURRENCY = 'RSD';
+
+    // The I tag holds at most 18 characters: RSD + up to 15 for the amount
+    const MAX_LENGTH = 18;
+    const MAX_DECIMALS = 2;
+
+    // English fallbacks for messages under amount.* in assets/i18n
+    const MESSAGES = {
+        empty: 'Enter an amount',
+        invalidFormat: 'Amount {{value}} is not a valid number',
+        unsupportedCurrency: 'Only RSD amounts are supported',
+        tooManyDecimals: 'Amount can have at most two decimal places',
+        tooLong: 'Amount is too large for the IPS QR code',
+        notPositive: 'Amount must be greater than zero',
+    };
+
+    const translate = translator('amount', MESSAGES);
+
+    function failure(code, params) {
+        return { valid: false, code, message: translate(code, params) };
+    }
+
+    // Split a number into integer and decimal digits, working out which of
+    // "." and "," is the decimal separator
+    function splitNumber(number) {
+        const separators = number.match(/[.,]/g) || [];
+        let decimalSeparator = null;
+
+        if (separators.includes('.') && separators.includes(',')) {
+            decimalSeparator = separators[separators.length - 1];
+        } else if (separators.length === 1) {
+            // A single separator followed by exactly three digits groups
+            // thousands, unless it follows a lone zero (0,500 is a fraction)
+            const groupsThousands =
+                /[.,]\d{3}$/.test(number) && !/^0*[.,]/.test(number);
+            decimalSeparator = groupsThousands ? null : separators[0];
+        }
+
+        let integerPart = number;
+        let decimalPart = '';
+        if (decimalSeparator) {
+            const index = number.lastIndexOf(decimalSeparator);
+            integerPart = number.substring(0, index);
+            decimalPart = number.substring(index + 1);
+            if (integerPart.includes(decimalSeparator)) {
+                return null;
+            }
+        }
+
+        // Thousands groups must have exactly three digits, after a leading
+        // group that is not zero
+        const groups = integerPart.split(/[.,]/);
+        if (
+            groups.length > 1 &&
+            (!/^[1-9]\d{0,2}$/.test(groups[0]) ||
+                !groups.slice(1).every((group) => /^\d{3}$/.test(group)))
+        ) {
+            return null;
+        }
+
+        const integerDigits = groups.join('');
+        if (!/^\d*$/.test(integerDigits) || !/^\d*$/.test(decimalPart)) {
+            return null;
+        }
+        if (!integerDigits && !decimalPart) {
+            return null;
+        }
+
+        return { integerDigits: integerDigits || '0', decimalPart };
+    }
+
+    // Parse user input into { valid, value, amount } or { valid: false, code, message }
+    function parse(input) {
+        let text = String(input || '')
+            .trim()
+            .replace(/[\s']/g, '');
+
+        if (!text) {
+            return failure('empty');
+        }
+
+        const currency = text.match(/^[A-Za-z]{3}/);
+        if (currency) {
+            if (currency[0].toUpperCase() !== CURRENCY) {
+                return failure('unsupportedCurrency');
+            }
+            text = text.substring(3);
+        }
+
+        if (/^-/.test(text)) {
+            return failure('notPositive');
+        }
+
+        const parts = splitNumber(text);
+        if (!parts) {
+            return failure('invalidFormat', { value: input });
+        }
+        if (parts.decimalPart.length > MAX_DECIMALS) {
+            return failure('tooManyDecimals');
+        }
+
+        const integerDigits = parts.integerDigits.replace(/^0+(?=\d)/, '');
+        const decimals = parts.decimalPart.padEnd(MAX_DECIMALS, '0');
+        const value = `${CURRENCY}${integerDigits},${decimals}`;
+
+        if (value.length > MAX_LENGTH) {
+            return failure('tooLong');
+        }
+
+        const amount = Number(`${integerDigits}.${decimals}`);
+        if (amount <= 0) {
+            return failure('notPositive');
+        }
+
+        return { valid: true, value, amount };
+    }
+
+    // IPS form (RSD1234,56) or null when the input is not a valid amount
+    function normalize(input) {
+        const result = parse(input);
+        return result.valid ? result.value : null;
+    }
+
+    // Display an amount in the active i18n locale
+    function format(input) {
+        const result = parse(input);
+        if (!result.valid) {
+            return String(input || '');
+        }
+
+        if (typeof window !== 'undefined' && window.i18n) {
+            return window.i18n.formatCurrency(result.amount, CURRENCY, {
+                minimumFractionDigits: MAX_DECIMALS,
+            });
+        }
+        return `${result.value.substring(3)} ${CURRENCY}`;
+    }
+
+    const IPSAmount = {
+        CURRENCY,
+        MAX_LENGTH,
+        parse,
+        normalize,
+        format,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.IPSAmount = IPSAmount;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = IPSAmount;
+    }
+})();
@@ -11,26 +11,136 @@ const API_CONFIG = {
     },
     timeout: 30000, // 30 seconds
     retries: 3,
+    // Retry policy per endpoint; missing values come from `default`.
+    // deadline bounds all attempts of one call, delays included.
+    retryPolicy: {
+        default: {
+            baseDelay: 500,
+            maxDelay: 8000,
+            deadline: 60000,
+        },
+        '/upload': { retries: 2 },
+    },
 };
 
+// Only failures that are safe to repeat are retried
+const RETRYABLE_ERROR_CODES = ['NETWORK_ERROR', 'TIMEOUT'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
 // API utility functions
 class NBSAPIClient {
     constructor() {
-        this.baseURL = API_CONFIG.baseURL;
         this.timeout = API_CONFIG.timeout;
     }
 
-    // Main API call method
+    // Base URL of the active backend profile
+    get baseURL() {
+        const profile = window.BackendProfiles?.current();
+        return (profile && profile.baseURL) || API_CONFIG.baseURL;
+    }
+
+    // Main API call method, retrying outages according to the endpoint policy
     async makeRequest(endpoint, method = 'POST', data = null, options = {}) {
+        // The offline profile answers in the browser without any request
+        if (window.BackendProfiles?.current().offline) {
+            return await makeOfflineRequest(endpoint, data, options);
+        }
+
         const url = this.buildURL(endpoint, options.size, options.lang);
         const config = this.buildRequestConfig(method, data, options);
+        const policy = this.getRetryPolicy(endpoint, options.retryPolicy);
+        const deadline = Date.now() + policy.deadline;
+        let reason = null;
+        let delay = 0;
+
+        for (let attempt = 1; ; attempt++) {
+            this.dispatchAttempt(endpoint, attempt, policy, delay, reason);
+
+            const remaining = deadline - Date.now();
+            let response;
+            try {
+                response = await this.fetchWithTimeout(
+                    url,
+                    config,
+                    Math.min(this.timeout, remaining)
+                );
+            } catch (error) {
+                const failure = this.handleError(error, endpoint);
+                reason = failure.code;
+                delay = this.getRetryDelay(policy, attempt);
+                if (
+                    !RETRYABLE_ERROR_CODES.includes(failure.code) ||
+                    !this.canRetry(policy, attempt, deadline, delay)
+                ) {
+                    throw failure;
+                }
+                await this.sleep(delay);
+                continue;
+            }
 
-        try {
-            const response = await this.fetchWithTimeout(url, config);
-            return await this.handleResponse(response, endpoint);
-        } catch (error) {
-            throw this.handleError(error, endpoint);
+            delay = this.getRetryDelay(policy, attempt);
+            if (
+                RETRYABLE_STATUSES.includes(response.status) &&
+                this.canRetry(policy, attempt, deadline, delay)
+            ) {
+                reason = `HTTP_${response.status}`;
+                await this.sleep(delay);
+                continue;
+            }
+
+            try {
+                return await this.handleResponse(response, endpoint);
+            } catch (error) {
+                throw this.handleError(error, endpoint);
+            }
+        }
+    }
+
+    // Endpoint policy merged over the default one and per-call overrides
+    getRetryPolicy(endpoint, overrides = {}) {
+        const policies = API_CONFIG.retryPolicy;
+        return {
+            retries: API_CONFIG.retries,
+            ...policies.default,
+            ...(policies[endpoint] || {}),
+            ...overrides,
+        };
+    }
+
+    // Exponential backoff with jitter: half the step is fixed, half random
+    getRetryDelay(policy, attempt) {
+        const step = Math.min(
+            policy.maxDelay,
+            policy.baseDelay * 2 ** (attempt - 1)
+        );
+        return Math.round(step / 2 + Math.random() * (step / 2));
+    }
+
+    canRetry(policy, attempt, deadline, delay) {
+        return attempt <= policy.retries && Date.now() + delay < deadline;
+    }
+
+    sleep(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    // Let the UI follow attempts, e.g. to show "Retrying (2/3)..."
+    dispatchAttempt(endpoint, attempt, policy, delay, reason) {
+        if (typeof document === 'undefined') {
+            return;
         }
+        document.dispatchEvent(
+            new CustomEvent('apiAttempt', {
+                detail: {
+                    endpoint,
+                    attempt,
+                    retry: attempt - 1,
+                    retries: policy.retries,
+                    delay,
+                    reason,
+                },
+            })
+        );
     }
 
     // Build complete URL with parameters
@@ -83,9 +193,9 @@ class NBSAPIClient {
     }
 
     // Fetch with timeout
-    async fetchWithTimeout(url, config) {
+    async fetchWithTimeout(url, config, timeout = this.timeout) {
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
 
         try {
             const response = await fetch(url, {
@@ -138,10 +248,10 @@ class NBSAPIClient {
             };
         }
 
-        if (
-            error.name === 'TypeError' &&
-            error.message.includes('Failed to fetch')
-        ) {
+        // fetch() rejects with a TypeError when the request cannot be made.
+        // The message differs per browser ("Failed to fetch", "NetworkError
+        // when attempting to fetch resource.", "Load failed"), the type not.
+        if (error instanceof TypeError) {
             return {
                 success: false,
                 error: 'Network error',
@@ -162,15 +272,20 @@ class NBSAPIClient {
 // Create API client instance
 const apiClient = new NBSAPIClient();
 
-// Specific API methods
+// Specific API methods. Each call shows the loading state while it runs,
+// unless options.showLoading is false: callers that run many requests at
+// once show it themselves for the whole run.
 async function makeAPICall(endpoint, method, data, options = {}) {
     // Add current language to options if not specified
     if (!options.lang) {
         options.lang = currentLanguage || 'sr_RS_Latn';
     }
+    const showLoading = options.showLoading !== false;
 
     try {
-        showLoadingState(true);
+        if (showLoading) {
+            showLoadingState(true);
+        }
         const response = await apiClient.makeRequest(
             endpoint,
             method,
@@ -181,7 +296,9 @@ async function makeAPICall(endpoint, method, data, options = {}) {
     } catch (error) {
         throw error;
     } finally {
-        showLoadingState(false);
+        if (showLoading) {
+            showLoadingState(false);
+        }
     }
 }
 
@@ -216,19 +333,119 @@ async function validateQRText(textData) {
     return await makeAPICall('/validate', 'POST', textData, options);
 }
 
+// Validate QR code text offline, returning the same shape as validateQRText
+async function validateQRTextLocally(textData) {
+    return {
+        success: true,
+        data: window.IPSQRParser.validate(textData),
+        status: 200,
+        statusText: 'OK',
+        isImage: false,
+        isLocal: true,
+    };
+}
+
+// Answer an endpoint with the in-browser parser and encoder (offline profile)
+async function makeOfflineRequest(endpoint, data, options = {}) {
+    if (endpoint === '/upload') {
+        return await uploadQRImageLocally(data.get('file'));
+    }
+
+    // /gen takes tags as JSON, the other endpoints take the text payload
+    const text =
+        typeof data === 'string'
+            ? data
+            : window.IPSQRParser.TAG_ORDER.filter((tag) => data[tag])
+                  .map((tag) => `${tag}:${data[tag].replace(/\r?\n/g, '\r\n')}`)
+                  .join('|');
+    const response = await validateQRTextLocally(text);
+
+    if (endpoint === '/validate') {
+        return response;
+    }
+    if (response.data.s.code !== 0) {
+        return {
+            ...response,
+            success: false,
+            status: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const dataURL = window.QREncoder.toDataURL(text, {
+        size: Number(options.size) || 150,
+    });
+    if (endpoint === '/gen') {
+        return {
+            success: true,
+            data: await (await fetch(dataURL)).blob(),
+            contentType: 'image/png',
+            isImage: true,
+            isLocal: true,
+        };
+    }
+
+    return {
+        ...response,
+        data: { ...response.data, i: dataURL.split(',')[1] },
+    };
+}
+
 // Upload QR code image for validation (upload endpoint)
-async function uploadQRImage(file) {
+async function uploadQRImage(file, extraOptions = {}) {
     const formData = new FormData();
     formData.append('file', file);
 
     const options = {
         isFormData: true,
         lang: currentLanguage,
+        ...extraOptions,
     };
 
     return await makeAPICall('/upload', 'POST', formData, options);
 }
 
+// Decode a QR image in the browser (needs jsQR) and validate it offline,
+// returning the same shape as uploadQRImage
+async function uploadQRImageLocally(file) {
+    if (!window.jsQR) {
+        throw {
+            success: false,
+            error: 'Decoder not loaded',
+            message: 'The in-browser QR decoder is not available',
+            code: 'DECODER_UNAVAILABLE',
+        };
+    }
+
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const image = context.getImageData(0, 0, canvas.width, canvas.height);
+    const code = window.jsQR(image.data, image.width, image.height);
+    if (!code) {
+        throw {
+            success: false,
+            error: 'No QR code found',
+            message: 'No QR code was found in the image',
+            code: 'DECODE_ERROR',
+        };
+    }
+
+    // C:2 payloads are encoded in Windows-1250 instead of UTF-8
+    const bytes = new Uint8Array(code.binaryData);
+    let text = new TextDecoder('utf-8').decode(bytes);
+    if (/\|C:2\|/.test(text)) {
+        text = new TextDecoder('windows-1250').decode(bytes);
+    }
+
+    return await validateQRTextLocally(text);
+}
+
 // Response handling functions
 function handleAPIResponse(response, endpoint) {
     console.log(
@@ -445,6 +662,14 @@ function displayGenericError(error) {
 }
 
 function openImageModal(imageUrl) {
+    // The generator also exports the code as SVG, PDF or print-size PNG
+    const exportButton =
+        typeof window.openQRExport === 'function'
+            ? `<button type="button" class="btn btn-outline-primary" data-bs-dismiss="modal" onclick="openQRExport()">
+                            <i class="fas fa-file-export me-1"></i>SVG / PDF
+                        </button>`
+            : '';
+
     // Create modal for full-size image view
     const modalHtml = `
         <div class="modal fade" id="imageModal" tabindex="-1">
@@ -461,6 +686,7 @@ function openImageModal(imageUrl) {
                         <a href="${imageUrl}" download="qr-code.png" class="btn btn-primary">
                             <i class="fas fa-download me-1"></i>Download
                         </a>
+                        ${exportButton}
                         <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
                     </div>
                 </div>
@@ -522,8 +748,31 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // Set up CORS handling if needed
     setupCORSHandling();
+
+    // Show retries of the NBS API in the loading modal
+    setupRetryFeedback();
 });
 
+function setupRetryFeedback() {
+    document.addEventListener('apiAttempt', function (event) {
+        const status = document.getElementById('loadingModalRetry');
+        if (!status) {
+            return;
+        }
+
+        const { retry, retries } = event.detail;
+        status.textContent =
+            retry > 0
+                ? window.i18n?.t('modal.loading.retrying', {
+                      retry,
+                      retries,
+                  }) ||
+                  `NBS API is not responding, retrying (${retry}/${retries})…`
+                : '';
+        status.style.display = retry > 0 ? 'block' : 'none';
+    });
+}
+
 function setupCORSHandling() {
     // Handle potential CORS issues with fallback
     window.addEventListener('unhandledrejection', function (event) {
@@ -546,8 +795,15 @@ window.NBSAPI = {
     generateQRImage,
     generateQRWithResponse,
     validateQRText,
+    validateQRTextLocally,
     uploadQRImage,
+    uploadQRImageLocally,
     makeAPICall,
     handleAPIResponse,
     handleAPIError,
 };
+
+// Export for use in modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { API_CONFIG, NBSAPIClient };
+}
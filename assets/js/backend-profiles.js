@@ -0,0 +1,189 @@
+// Backend profiles: which NBS API (or stand-in) the app talks to
+// Profiles come from nbs_api.profiles in _config.yml (exposed as
+// SITE_CONFIG.apiProfiles). The active one is the saved choice, else
+// nbs_api.default_profile; a ?backend= query parameter is saved as the choice
+// when the page loads.
+
+(function () {
+    'use strict';
+
+    const { message } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    const STORAGE_KEY = 'nbs_backend_profile';
+    const QUERY_PARAM = 'backend';
+    const DEFAULT_PROFILE = 'production';
+
+    // Used when the page was not rendered by Jekyll
+    const BUILT_IN_PROFILES = {
+        production: {
+            label: 'NBS (production)',
+            base_url: 'https://nbs.rs/QRcode/api/qr/v1',
+            account_url:
+                'https://webappcenter.nbs.rs/PnWebApp/CompanyAccount/CompanyAccountResident',
+        },
+        offline: {
+            label: 'Offline engine',
+            offline: true,
+        },
+    };
+
+    function siteConfig() {
+        return (typeof window !== 'undefined' && window.SITE_CONFIG) || {};
+    }
+
+    function rawProfiles() {
+        const configured = siteConfig().apiProfiles;
+        return configured && Object.keys(configured).length > 0
+            ? configured
+            : BUILT_IN_PROFILES;
+    }
+
+    // Profile by id with camelCase fields, or null when it does not exist
+    function get(id) {
+        const profile = rawProfiles()[id];
+        if (!profile) {
+            return null;
+        }
+
+        return {
+            id,
+            label: message(`backend.profiles.${id}`, profile.label || id),
+            baseURL: profile.base_url || null,
+            accountURL: profile.account_url || null,
+            accountAPI: profile.account_api || null,
+            offline: profile.offline === true,
+        };
+    }
+
+    function list() {
+        return Object.keys(rawProfiles()).map(get);
+    }
+
+    function readStorage() {
+        try {
+            return localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Persist a choice and tell the page about it. Null, with no event, for
+    // an unknown profile or a choice the storage refuses: current() reads the
+    // saved choice, so the switch would not take effect
+    function select(id) {
+        const profile = get(id);
+        if (!profile) {
+            return null;
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEY, id);
+        } catch (error) {
+            return null;
+        }
+
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(
+                new CustomEvent('backendProfileChanged', {
+                    detail: { profile },
+                })
+            );
+        }
+        return profile;
+    }
+
+    // Active profile: saved choice, site default
+    function current() {
+        return (
+            get(readStorage()) ||
+            get(siteConfig().defaultApiProfile) ||
+            get(DEFAULT_PROFILE) ||
+            list()[0]
+        );
+    }
+
+    // ?backend= counts as a choice once, when the page loads, so a profile
+    // picked from the navbar afterwards is not overridden by it
+    function applyQueryParameter() {
+        if (typeof window === 'undefined' || !window.location) {
+            return;
+        }
+
+        const requested = new URLSearchParams(window.location.search).get(
+            QUERY_PARAM
+        );
+        if (requested && get(requested) && requested !== readStorage()) {
+            select(requested);
+        }
+    }
+
+    // Fill the navbar dropdown and keep its label in sync
+    function setupDropdown() {
+        const label = document.getElementById('backendDropdownLabel');
+        const menu = document.getElementById('backendDropdownMenu');
+        if (!label || !menu) {
+            return;
+        }
+
+        function render() {
+            const active = current();
+            label.textContent = active.label;
+            menu.innerHTML = '';
+
+            list().forEach((profile) => {
+                const link = document.createElement('a');
+                link.className = `dropdown-item${profile.id === active.id ? ' active' : ''}`;
+                link.href = '#';
+                link.dataset.backend = profile.id;
+                link.textContent = profile.label;
+                link.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    if (!select(profile.id) && window.showNotification) {
+                        window.showNotification(
+                            message(
+                                'backend.saveFailed',
+                                'The API backend could not be saved; the browser storage is full or blocked'
+                            ),
+                            'error'
+                        );
+                    }
+                });
+
+                const item = document.createElement('li');
+                item.appendChild(link);
+                menu.appendChild(item);
+            });
+        }
+
+        render();
+        document.addEventListener('backendProfileChanged', render);
+        document.addEventListener('languageChanged', render);
+    }
+
+    const BackendProfiles = {
+        STORAGE_KEY,
+        QUERY_PARAM,
+        get,
+        list,
+        current,
+        select,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.BackendProfiles = BackendProfiles;
+    }
+
+    applyQueryParameter();
+
+    if (typeof document !== 'undefined') {
+        document.addEventListener('DOMContentLoaded', setupDropdown);
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BackendProfiles;
+    }
+})();
@@ -0,0 +1,185 @@
+// Directory of Serbian banks keyed by the three-digit bank code
+// The first three digits of every account identify the bank. Entries marked
+// ips: false no longer accept instant payments (mostly banks merged into
+// another participant); mergedInto points to the successor's code.
+
+(function () {
+    'use strict';
+
+    const { translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    // Bump when the list below changes
+    const VERSION = '2026-10';
+
+    const BANKS = {
+        105: { name: 'AIK Banka a.d. Beograd', bic: 'AIKBRS22', ips: true },
+        115: { name: 'Yettel Bank a.d. Beograd', bic: null, ips: true },
+        145: { name: 'Expobank a.d. Beograd', bic: null, ips: true },
+        150: {
+            name: 'Direktna Banka a.d. Kragujevac',
+            bic: 'CONARS22',
+            ips: false,
+            mergedInto: '250',
+        },
+        155: { name: 'Halkbank a.d. Beograd', bic: 'CABARS22', ips: true },
+        160: { name: 'Banca Intesa a.d. Beograd', bic: 'DBDBRSBG', ips: true },
+        165: { name: 'Addiko Bank a.d. Beograd', bic: 'HAABRSBG', ips: true },
+        170: {
+            name: 'UniCredit Bank Srbija a.d. Beograd',
+            bic: 'BACXRSBG',
+            ips: true,
+        },
+        180: {
+            name: 'Alpha Bank Srbija a.d. Beograd',
+            bic: null,
+            ips: false,
+            mergedInto: '105',
+        },
+        190: { name: 'Alta banka a.d. Beograd', bic: 'JMBNRSBG', ips: true },
+        200: {
+            name: 'Banka Poštanska štedionica a.d. Beograd',
+            bic: 'SBPORSBG',
+            ips: true,
+        },
+        205: {
+            name: 'NLB Komercijalna banka a.d. Beograd',
+            bic: 'KOBBRSBG',
+            ips: true,
+        },
+        220: {
+            name: 'ProCredit Bank a.d. Beograd',
+            bic: 'PRCBRSBG',
+            ips: true,
+        },
+        250: {
+            name: 'Eurobank Direktna a.d. Beograd',
+            bic: 'EFGBRSBG',
+            ips: true,
+        },
+        265: {
+            name: 'Raiffeisen banka a.d. Beograd',
+            bic: 'RZBSRSBG',
+            ips: true,
+        },
+        275: {
+            name: 'OTP banka Srbija a.d. Beograd',
+            bic: 'SOGYRSBG',
+            ips: true,
+        },
+        285: {
+            name: 'Sberbank Srbija a.d. Beograd',
+            bic: null,
+            ips: false,
+            mergedInto: '105',
+        },
+        295: { name: 'Srpska banka a.d. Beograd', bic: null, ips: true },
+        310: {
+            name: 'NLB Banka a.d. Beograd',
+            bic: null,
+            ips: false,
+            mergedInto: '205',
+        },
+        325: {
+            name: 'OTP banka Srbija a.d. Novi Sad',
+            bic: 'OTPVRS22',
+            ips: true,
+        },
+        330: {
+            name: 'Crédit Agricole banka Srbija a.d. Novi Sad',
+            bic: null,
+            ips: false,
+            mergedInto: '265',
+        },
+        340: { name: 'Erste Bank a.d. Novi Sad', bic: 'GIBARS22', ips: true },
+        355: {
+            name: 'Vojvođanska banka a.d. Novi Sad',
+            bic: 'VOBARS22',
+            ips: false,
+            mergedInto: '325',
+        },
+        360: { name: 'MTS banka a.d. Beograd', bic: null, ips: true },
+        370: { name: '3 Banka a.d. Novi Sad', bic: 'OPORRSBG', ips: true },
+        375: { name: 'API Bank a.d. Beograd', bic: null, ips: true },
+        380: {
+            name: 'Bank of China Srbija a.d. Beograd',
+            bic: 'BKCHRSBG',
+            ips: true,
+        },
+        840: { name: 'Uprava za trezor', bic: null, ips: true },
+        845: { name: 'Uprava za trezor', bic: null, ips: true },
+        908: { name: 'Narodna banka Srbije', bic: 'NBSRRSBG', ips: true },
+    };
+
+    // English fallbacks for messages under bank.* in assets/i18n
+    const MESSAGES = {
+        unknownBank:
+            'Bank code {{code}} is not in the bank directory (version {{version}})',
+        notIpsParticipant:
+            '{{name}} does not take part in IPS instant payments',
+        mergedInto:
+            '{{name}} was merged into {{successor}} and no longer takes IPS payments',
+    };
+
+    const translate = translator('bank', MESSAGES);
+
+    // Bank entry for a code or full account number, or null when unknown
+    function get(codeOrAccount) {
+        const code = String(codeOrAccount || '')
+            .replace(/\D/g, '')
+            .substring(0, 3);
+        const bank = BANKS[code];
+        return bank ? { code, ...bank } : null;
+    }
+
+    // Bank plus the reason it cannot receive IPS payments, if any
+    function describe(codeOrAccount) {
+        const code = String(codeOrAccount || '')
+            .replace(/\D/g, '')
+            .substring(0, 3);
+        if (code.length < 3) {
+            return null;
+        }
+
+        const bank = get(code);
+        let warning = null;
+        let message = null;
+        if (!bank) {
+            warning = 'unknownBank';
+            message = translate(warning, { code, version: VERSION });
+        } else if (!bank.ips) {
+            warning = 'notIpsParticipant';
+            const successor = bank.mergedInto && get(bank.mergedInto);
+            message = successor
+                ? translate('mergedInto', {
+                      name: bank.name,
+                      successor: successor.name,
+                  })
+                : translate(warning, { name: bank.name });
+        }
+
+        return { code, bank, warning, message };
+    }
+
+    function list() {
+        return Object.keys(BANKS).map((code) => get(code));
+    }
+
+    const BankRegistry = {
+        VERSION,
+        get,
+        describe,
+        list,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.BankRegistry = BankRegistry;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BankRegistry;
+    }
+})();
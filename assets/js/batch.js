@@ -0,0 +1,268 @@
+// Batch helpers: spreadsheet import, column-to-tag mapping, row validation,
+// a bounded work queue and CSV export. Reading XLSX files needs SheetJS
+// (window.XLSX), which the batch page loads from the CDN.
+
+(function () {
+    'use strict';
+
+    const { loadModule, translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    const DEFAULT_CONCURRENCY = 3;
+    const MAX_CONCURRENCY = 10;
+
+    // Leading characters that make a spreadsheet read a cell as a formula
+    const FORMULA_START = /^[=+\-@\t\r]/;
+
+    // Header names (lower case) that pre-select a tag for a column
+    const COLUMN_ALIASES = {
+        K: ['k', 'type', 'payment type', 'tip', 'tip plaćanja'],
+        V: ['v', 'version', 'verzija'],
+        C: ['c', 'charset', 'character set', 'kodna strana'],
+        R: ['r', 'account', 'account number', 'račun', 'racun', 'tekući račun'],
+        N: ['n', 'recipient', 'name', 'primalac', 'naziv', 'naziv primaoca'],
+        I: ['i', 'amount', 'iznos'],
+        P: ['p', 'payer', 'platilac', 'uplatilac'],
+        SF: ['sf', 'payment code', 'šifra', 'sifra', 'šifra plaćanja'],
+        S: ['s', 'purpose', 'description', 'svrha', 'svrha plaćanja'],
+        M: ['m', 'mcc', 'merchant code'],
+        JS: ['js', 'one-time code'],
+        RO: ['ro', 'reference', 'poziv na broj', 'model i poziv na broj'],
+        RL: ['rl', 'pos reference'],
+        RP: ['rp', 'transaction reference'],
+    };
+
+    // English fallbacks for messages under batch.* in assets/i18n
+    const MESSAGES = {
+        emptyFile: 'The file has no rows',
+        unsupportedFile: 'Only CSV and XLSX files are supported',
+        spreadsheetLibrary: 'The XLSX reader is not loaded',
+    };
+
+    const translate = translator('batch', MESSAGES);
+
+    // Turn a sheet (array of arrays) into { headers, rows }, skipping empty rows
+    function toTable(cells) {
+        const nonEmpty = cells.filter((row) =>
+            row.some((cell) => String(cell).trim() !== '')
+        );
+        if (nonEmpty.length < 2) {
+            throw new Error(translate('emptyFile'));
+        }
+
+        const width = Math.max(...nonEmpty.map((row) => row.length));
+        const headers = [];
+        for (let i = 0; i < width; i++) {
+            const header = String(nonEmpty[0][i] ?? '').trim();
+            headers.push(header || `Column ${i + 1}`);
+        }
+
+        const rows = nonEmpty
+            .slice(1)
+            .map((row) => headers.map((header, i) => String(row[i] ?? '')));
+
+        return { headers, rows };
+    }
+
+    // Read a CSV or XLSX file into { headers, rows } using the first sheet
+    async function readSpreadsheet(file) {
+        const XLSX = loadModule('XLSX', 'xlsx');
+        if (!XLSX) {
+            throw new Error(translate('spreadsheetLibrary'));
+        }
+
+        const name = file.name.toLowerCase();
+        let workbook;
+        if (name.endsWith('.csv') || file.type === 'text/csv') {
+            // Read CSV as text so UTF-8 names survive, and keep every value as
+            // typed (account numbers must not turn into floats)
+            workbook = XLSX.read(await file.text(), {
+                type: 'string',
+                raw: true,
+            });
+        } else if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+            workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+        } else {
+            throw new Error(translate('unsupportedFile'));
+        }
+
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        return toTable(
+            XLSX.utils.sheet_to_json(sheet, {
+                header: 1,
+                raw: false,
+                defval: '',
+            })
+        );
+    }
+
+    // Pre-select a column for every tag whose header matches an alias
+    function guessMapping(headers) {
+        const normalized = headers.map((header) => header.trim().toLowerCase());
+        const mapping = {};
+
+        Object.keys(COLUMN_ALIASES).forEach((tag) => {
+            const index = normalized.findIndex((header) =>
+                COLUMN_ALIASES[tag].includes(header)
+            );
+            mapping[tag] = { column: index >= 0 ? index : null, value: '' };
+        });
+
+        return mapping;
+    }
+
+    // Form-like data for one row: the mapped column wins over the fixed value
+    function buildRecord(row, mapping) {
+        const record = {};
+
+        Object.keys(mapping).forEach((tag) => {
+            const { column, value } = mapping[tag];
+            const cell =
+                column !== null && column !== undefined ? row[column] : '';
+            const text = String(cell || value || '')
+                .replace(/\r\n?/g, '\n')
+                .trim();
+            if (text) {
+                record[tag] = text;
+            }
+        });
+
+        return record;
+    }
+
+    // Normalize a record and collect every problem with it
+    function validateRecord(record) {
+        const IPSQRParser = loadModule('IPSQRParser', './qr-parser');
+        const IPSAmount = loadModule('IPSAmount', './amount');
+        const AccountNumber = loadModule('AccountNumber', './account-number');
+        const errors = [];
+        const data = { ...record };
+
+        if (data.R) {
+            data.R = AccountNumber.normalize(data.R) || data.R;
+        }
+        if (data.I) {
+            const amount = IPSAmount.parse(data.I);
+            if (amount.valid) {
+                data.I = amount.value;
+            } else {
+                errors.push(amount.message);
+            }
+        }
+
+        // Only tags the payment type permits go into the payload
+        const typeTags = IPSQRParser.PAYMENT_TYPE_TAGS[data.K];
+        const allowed = typeTags
+            ? typeTags.required.concat(typeTags.optional)
+            : IPSQRParser.TAG_ORDER;
+        const text = IPSQRParser.TAG_ORDER.filter(
+            (tag) => allowed.includes(tag) && data[tag]
+        )
+            .map((tag) => `${tag}:${data[tag].replace(/\n/g, '\r\n')}`)
+            .join('|');
+
+        // The amount has already been reported in a friendlier form
+        IPSQRParser.check(text)
+            .issues.filter((issue) => !(issue.tag === 'I' && errors.length))
+            .forEach((issue) => errors.push(issue.message));
+
+        return { valid: errors.length === 0, data, text, errors };
+    }
+
+    // Run worker(item, index) over items with at most `limit` in flight
+    async function runQueue(items, limit, worker, onProgress) {
+        const results = new Array(items.length);
+        const size = Math.min(
+            Math.max(Number(limit) || DEFAULT_CONCURRENCY, 1),
+            MAX_CONCURRENCY
+        );
+        let next = 0;
+        let done = 0;
+
+        async function lane() {
+            while (next < items.length) {
+                const index = next++;
+                try {
+                    results[index] = {
+                        ok: true,
+                        value: await worker(items[index], index),
+                    };
+                } catch (error) {
+                    results[index] = { ok: false, error };
+                }
+                done++;
+                if (onProgress) {
+                    onProgress(done, items.length, index, results[index]);
+                }
+            }
+        }
+
+        const lanes = [];
+        for (let i = 0; i < Math.min(size, items.length); i++) {
+            lanes.push(lane());
+        }
+        await Promise.all(lanes);
+
+        return results;
+    }
+
+    // File-system safe name, made unique against names already used
+    function uniqueFileName(value, fallback, used) {
+        const base =
+            String(value || '')
+                .trim()
+                .replace(/[\\/:*?"<>|\s]+/g, '_')
+                .replace(/^[._]+|[._]+$/g, '')
+                .substring(0, 100) || fallback;
+
+        let name = base;
+        for (let i = 2; used.has(name.toLowerCase()); i++) {
+            name = `${base}-${i}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    }
+
+    // CSV text from an array of rows; fields are quoted when needed, and
+    // cells that would run as formulas get a leading ' so they stay text
+    function toCSV(rows) {
+        return rows
+            .map((row) =>
+                row
+                    .map((cell) => {
+                        const value = String(cell ?? '');
+                        const text = FORMULA_START.test(value)
+                            ? `'${value}`
+                            : value;
+                        return /[",;\r\n]/.test(text)
+                            ? `"${text.replace(/"/g, '""')}"`
+                            : text;
+                    })
+                    .join(',')
+            )
+            .join('\r\n');
+    }
+
+    const IPSBatch = {
+        DEFAULT_CONCURRENCY,
+        MAX_CONCURRENCY,
+        readSpreadsheet,
+        guessMapping,
+        buildRecord,
+        validateRecord,
+        runQueue,
+        uniqueFileName,
+        toCSV,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.IPSBatch = IPSBatch;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = IPSBatch;
+    }
+})();
@@ -0,0 +1,145 @@
+// Length and byte budget checks for IPS QR payloads, shared by the generator
+// counters, the generator's submit checks and the offline validator.
+// Free-text tags are limited in characters (line breaks excluded) and lines;
+// the whole payload is limited in encoded bytes.
+
+(function () {
+    'use strict';
+
+    const { translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    // Character and line limits of the free-text tags
+    const TEXT_LIMITS = {
+        N: { maxLength: 70, maxLines: 3 },
+        P: { maxLength: 70, maxLines: 3 },
+        S: { maxLength: 35, maxLines: 1 },
+        RL: { maxLength: 140, maxLines: 1 },
+    };
+
+    // Largest QR version a payload may need. A version 17 code is 85 modules
+    // wide, about 0.3 mm each in the 27 mm code of the payment slip, which
+    // phone cameras still read reliably.
+    const MAX_VERSION = 17;
+
+    // Byte-mode capacity of MAX_VERSION at error correction level M, the
+    // level IPS codes use (ISO/IEC 18004, table 7; QREncoder.getByteCapacity).
+    // Latin text within the tag limits always fits; Cyrillic letters take two
+    // bytes each in UTF-8 (C:1), so long Cyrillic N, S and RL values may not.
+    const MAX_PAYLOAD_BYTES = 504;
+
+    // English fallbacks for messages under validator.local.* in assets/i18n
+    const MESSAGES = {
+        tooLong: 'Tag {{tag}} exceeds {{max}} characters ({{length}})',
+        tooManyLines: 'Tag {{tag}} has more than {{max}} lines',
+        payloadTooLarge:
+            'Payload is {{bytes}} bytes, more than the {{max}} byte limit',
+    };
+
+    const translate = translator('validator.local', MESSAGES);
+
+    function splitLines(value) {
+        return String(value ?? '').split(/\r\n|\r|\n/);
+    }
+
+    // Encoded size of text in the given charset (C tag value)
+    function byteLength(text, charset = '1') {
+        const value = String(text ?? '');
+        if (String(charset) === '2') {
+            return value.length;
+        }
+        return new TextEncoder().encode(value).length;
+    }
+
+    // Characters, lines and bytes of a tag value next to its limits.
+    // Line breaks count as CR LF, the way they are sent in the payload.
+    function measure(tag, value, charset = '1') {
+        const limits = TEXT_LIMITS[tag] || {};
+        const lines = value ? splitLines(value) : [];
+        const length = lines.join('').length;
+
+        return {
+            length,
+            lines: lines.length,
+            bytes: byteLength(lines.join('\r\n'), charset),
+            maxLength: limits.maxLength,
+            maxLines: limits.maxLines,
+            tooLong: Boolean(limits.maxLength && length > limits.maxLength),
+            tooManyLines: Boolean(
+                limits.maxLines && lines.length > limits.maxLines
+            ),
+        };
+    }
+
+    // Issues for a free-text tag value, in the IPSQRParser issue shape
+    function checkText(tag, value) {
+        const result = measure(tag, value);
+        const issues = [];
+
+        if (result.tooLong) {
+            issues.push({
+                code: 'tooLong',
+                tag,
+                params: { tag, max: result.maxLength, length: result.length },
+            });
+        }
+        if (result.tooManyLines) {
+            issues.push({
+                code: 'tooManyLines',
+                tag,
+                params: { tag, max: result.maxLines },
+            });
+        }
+
+        issues.forEach((issue) => {
+            issue.message = translate(issue.code, issue.params);
+        });
+        return issues;
+    }
+
+    // Issues for a whole payload that does not fit in a QR code
+    function checkPayload(text, charset = '1') {
+        const bytes = byteLength(text, charset);
+        if (bytes <= MAX_PAYLOAD_BYTES) {
+            return [];
+        }
+
+        const params = { bytes, max: MAX_PAYLOAD_BYTES };
+        return [
+            {
+                code: 'payloadTooLarge',
+                params,
+                message: translate('payloadTooLarge', params),
+            },
+        ];
+    }
+
+    // Issues for every free-text tag in form data ({ N, P, S, ... })
+    function checkFields(data) {
+        return Object.keys(TEXT_LIMITS)
+            .filter((tag) => data[tag])
+            .flatMap((tag) => checkText(tag, data[tag]));
+    }
+
+    const FieldLimits = {
+        TEXT_LIMITS,
+        MAX_VERSION,
+        MAX_PAYLOAD_BYTES,
+        byteLength,
+        measure,
+        checkText,
+        checkPayload,
+        checkFields,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.FieldLimits = FieldLimits;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FieldLimits;
+    }
+})();
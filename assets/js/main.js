@@ -24,6 +24,17 @@ function initializeApp() {
 
     // Set up keyboard shortcuts
     setupKeyboardShortcuts();
+
+    // Set up the reverse account search dialog
+    setupAccountSearch();
+
+    // Confirm backend switches made from the navbar
+    document.addEventListener('backendProfileChanged', function (event) {
+        showNotification(
+            t('backend.changed', { name: event.detail.profile.label }),
+            'info'
+        );
+    });
 }
 
 // Language switcher functionality - now handled by i18n.js
@@ -609,7 +620,32 @@ function handleGlobalErrors() {
 handleGlobalErrors();
 
 // Request data preparation functions
-function prepareGenRequestData(formData) {
+// Tags permitted for a payment type (K), in specification order
+function getPaymentTypeTags(paymentType) {
+    const { TAG_ORDER, PAYMENT_TYPE_TAGS } = window.IPSQRParser;
+    const typeTags = PAYMENT_TYPE_TAGS[paymentType];
+    if (!typeTags) {
+        return TAG_ORDER;
+    }
+
+    const allowed = typeTags.required.concat(typeTags.optional);
+    return TAG_ORDER.filter((tag) => allowed.includes(tag));
+}
+
+// IPS form of an amount (RSD1234,56), or null when it cannot be parsed
+function normalizeAmount(value) {
+    return window.IPSAmount.normalize(value);
+}
+
+// Form data as it is sent: N, P and S in Latin when the user asked for it
+function applyScriptPreference(formData) {
+    return window.Transliteration
+        ? window.Transliteration.forPayload(formData)
+        : formData;
+}
+
+function prepareGenRequestData(data) {
+    const formData = applyScriptPreference(data);
     const requestData = {
         K: formData.K,
         V: formData.V,
@@ -618,30 +654,39 @@ function prepareGenRequestData(formData) {
         N: formData.N,
     };
 
-    // Add optional fields if present
-    if (formData.I) requestData.I = formData.I;
-    if (formData.P) requestData.P = formData.P;
-    if (formData.SF) requestData.SF = formData.SF;
-    if (formData.S) requestData.S = formData.S;
-    if (formData.RO) requestData.RO = formData.RO;
+    // Add optional and payment-type specific fields if present
+    getPaymentTypeTags(formData.K).forEach((field) => {
+        if (!(field in requestData) && formData[field]) {
+            requestData[field] = formData[field];
+        }
+    });
+
+    // Amounts typed as 1.234,56 or 1234.56 are sent as RSD1234,56
+    if (requestData.I) {
+        requestData.I = normalizeAmount(requestData.I) || requestData.I;
+    }
 
     return requestData;
 }
 
-function prepareTextRequestData(formData) {
+function prepareTextRequestData(data) {
     // Check if it's validation text data
-    if (formData.qrText) {
-        return formData.qrText;
+    if (data.qrText) {
+        return data.qrText;
     }
 
     // Build QR text string from form fields
-    const fields = ['K', 'V', 'C', 'R', 'N', 'I', 'P', 'SF', 'S', 'RO'];
+    const formData = applyScriptPreference(data);
+    const fields = getPaymentTypeTags(formData.K);
     const parts = [];
 
     fields.forEach((field) => {
         if (formData[field] && formData[field].trim()) {
             // Replace line breaks with \r\n for proper formatting
-            const value = formData[field].replace(/\n/g, '\r\n');
+            let value = formData[field].replace(/\n/g, '\r\n');
+            if (field === 'I') {
+                value = normalizeAmount(value) || value;
+            }
             parts.push(`${field}:${value}`);
         }
     });
@@ -732,22 +777,36 @@ async function lookupAccountInfo() {
         return;
     }
 
-    const accountNumber = accountInput.value.trim();
-
-    // Validate account number format (should be 18 digits)
-    if (!/^\d{18}$/.test(accountNumber)) {
+    // Accept short forms such as 160-5771-29 and verify MOD 97 control digits
+    const account = window.AccountNumber.check(accountInput.value.trim());
+    if (!account.normalized) {
         showNotification(t('generator.accountLookup.invalidFormat'), 'error');
         return;
     }
 
-    // Parse account number: 220000000016005771
+    if (!account.valid) {
+        showNotification(
+            t('account.controlDigitsInvalid', {
+                expected: account.expected,
+                suggestion: window.AccountNumber.format(account.suggestion),
+            }),
+            'error'
+        );
+        return;
+    }
+
+    accountInput.value = account.normalized;
+
     // Format: BBB-AAAAAAAAAAAAA-CC where BBB=bank code, A=account, C=control
-    const bankCode = accountNumber.substring(0, 3);
-    const accountPart = accountNumber.substring(3, 16);
-    const controlNumber = accountNumber.substring(16, 18);
+    const bank = window.BankRegistry.get(account.bankCode);
+    const bankName = bank ? bank.name : 'N/A';
 
-    // Build the API URL
-    const apiUrl = `https://webappcenter.nbs.rs/PnWebApp/CompanyAccount/CompanyAccountResident?isSearchExecuted=true&BankCode=${bankCode}&AccountNumber=${accountPart}&ControlNumber=${controlNumber}&CompanyNationalCode=&CompanyTaxCode=&CompanyName=&City=&TypeID=1&OrderBy=&Pagging.CurrentPage=1&Pagging.PageSize=50`;
+    // The account register comes from the active backend profile
+    const profile = window.BackendProfiles.current();
+    if (!profile.accountAPI && !profile.accountURL) {
+        showNotification(t('generator.accountLookup.unavailable'), 'warning');
+        return;
+    }
 
     // Show the modal
     const modal = new bootstrap.Modal(
@@ -768,126 +827,33 @@ async function lookupAccountInfo() {
     `;
 
     try {
-        const response = await fetch(apiUrl);
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const html = await response.text();
-
-        // Parse the HTML response to extract account information
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-
-        // Look for the table with account information
-        const rows = doc.querySelectorAll('tr');
-        let accountInfo = null;
-
-        // Find the data row (skip header row)
-        for (let i = 1; i < rows.length; i++) {
-            const cells = rows[i].querySelectorAll('td');
-
-            if (cells.length >= 10) {
-                // Create account info with pattern matching for robust parsing
-                const cellTexts = Array.from(cells).map(
-                    (cell) => cell?.textContent?.trim() || ''
-                );
-                accountInfo = {
-                    name: cellTexts[0] || 'N/A',
-                    nationalId: cellTexts[1] || 'N/A',
-                    taxId: cellTexts[2] || 'N/A',
-                    address: cellTexts[3] || 'N/A',
-                    city: cellTexts[4] || 'N/A',
-                    municipality: cellTexts[5] || 'N/A',
-                    activity: cellTexts[6] || 'N/A',
-                    bank: cellTexts[7] || 'N/A',
-                    // Find account number - it should be in format XXX-XXXXXXXXXXXXX-XX
-                    account: findCellWithPattern(
-                        cellTexts,
-                        /\d{3}-\d{13}-\d{2}/
-                    ),
-                    // Find status - look for Serbian words like "Укључен"
-                    status: findCellWithPattern(
-                        cellTexts,
-                        /Укључен|Искључен|Активан/
-                    ),
-                    // Find block status - contains "блокад"
-                    blockStatus: findCellWithPattern(cellTexts, /блокад/i),
-                    // Find date - format DD.MM.YYYY
-                    openDate: findCellWithPattern(
-                        cellTexts,
-                        /\d{1,2}\.\d{1,2}\.\d{4}/
-                    ),
-                };
-
-                break;
-            }
-        }
-
-        if (accountInfo) {
-            // Display the account information
-            document.getElementById('accountInfoContent').innerHTML = `
-                <div class="table-responsive">
-                    <table class="table table-striped">
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.name">Account Holder Name</strong></td>
-                            <td>${escapeHtml(accountInfo.name)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.nationalId">National ID</strong></td>
-                            <td>${escapeHtml(accountInfo.nationalId)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.taxId">Tax ID</strong></td>
-                            <td>${escapeHtml(accountInfo.taxId)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.address">Address</strong></td>
-                            <td>${escapeHtml(accountInfo.address)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.city">City</strong></td>
-                            <td>${escapeHtml(accountInfo.city)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.municipality">Municipality</strong></td>
-                            <td>${escapeHtml(accountInfo.municipality)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.activity">Activity</strong></td>
-                            <td>${escapeHtml(accountInfo.activity)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.bank">Bank</strong></td>
-                            <td>${escapeHtml(accountInfo.bank)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.account">Account Number</strong></td>
-                            <td>${escapeHtml(accountInfo.account)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.status">Status</strong></td>
-                            <td>${escapeHtml(accountInfo.status)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.blockStatus">Block Status</strong></td>
-                            <td>${escapeHtml(accountInfo.blockStatus)}</td>
-                        </tr>
-                        <tr>
-                            <td><strong data-i18n="generator.accountLookup.fields.openDate">Opening Date</strong></td>
-                            <td>${escapeHtml(accountInfo.openDate)}</td>
-                        </tr>
-                    </table>
-                </div>
-                <div class="mt-3">
-                    <button type="button" class="btn btn-primary" onclick="fillAccountInfo('${escapeHtml(accountInfo.name)}', '${escapeHtml(accountInfo.address)}')" data-i18n="generator.accountLookup.useInfo">
-                        Use This Information
-                    </button>
-                </div>
-            `;
+        const accounts = await fetchRegisterEntries(account);
+        const content = document.getElementById('accountInfoContent');
+
+        if (accounts.length > 0) {
+            // Every row is shown; a company can hold several accounts
+            content.innerHTML = accounts
+                .map((entry, index) =>
+                    renderAccountDetails(
+                        entry,
+                        index,
+                        accounts.length,
+                        bankName
+                    )
+                )
+                .join('<hr>');
+            content
+                .querySelectorAll('[data-account-index]')
+                .forEach((button) => {
+                    button.addEventListener('click', () =>
+                        useRegisterEntry(
+                            accounts[button.dataset.accountIndex],
+                            'accountInfoModal'
+                        )
+                    );
+                });
         } else {
-            document.getElementById('accountInfoContent').innerHTML = `
+            content.innerHTML = `
                 <div class="alert alert-warning" role="alert">
                     <i class="fas fa-exclamation-triangle me-2"></i>
                     <span data-i18n="generator.accountLookup.noData">No account information found for this account number.</span>
@@ -906,6 +872,155 @@ async function lookupAccountInfo() {
     }
 }
 
+// Details of one register entry, with a warning when it cannot receive
+// payments
+function renderAccountDetails(entry, index, total, bankName) {
+    const accountInfo = { ...entry, bank: entry.bank || bankName };
+    Object.keys(accountInfo).forEach((field) => {
+        accountInfo[field] = accountInfo[field] || 'N/A';
+    });
+
+    const heading =
+        total > 1
+            ? `<h6 class="mb-2">${escapeHtml(t('generator.accountLookup.resultOf', { index: index + 1, total }))}</h6>`
+            : '';
+
+    return `
+        ${heading}
+        ${renderAccountStatusAlert(entry)}
+        <div class="table-responsive">
+            <table class="table table-striped">
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.name">Account Holder Name</strong></td>
+                    <td>${escapeHtml(accountInfo.name)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.nationalId">National ID</strong></td>
+                    <td>${escapeHtml(accountInfo.nationalId)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.taxId">Tax ID</strong></td>
+                    <td>${escapeHtml(accountInfo.taxId)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.address">Address</strong></td>
+                    <td>${escapeHtml(accountInfo.address)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.city">City</strong></td>
+                    <td>${escapeHtml(accountInfo.city)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.municipality">Municipality</strong></td>
+                    <td>${escapeHtml(accountInfo.municipality)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.activity">Activity</strong></td>
+                    <td>${escapeHtml(accountInfo.activity)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.bank">Bank</strong></td>
+                    <td>${escapeHtml(accountInfo.bank)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.account">Account Number</strong></td>
+                    <td>${escapeHtml(accountInfo.account)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.status">Status</strong></td>
+                    <td>${escapeHtml(accountInfo.status)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.blockStatus">Block Status</strong></td>
+                    <td>${escapeHtml(accountInfo.blockStatus)}</td>
+                </tr>
+                <tr>
+                    <td><strong data-i18n="generator.accountLookup.fields.openDate">Opening Date</strong></td>
+                    <td>${escapeHtml(accountInfo.openDate)}</td>
+                </tr>
+            </table>
+        </div>
+        <div class="mt-3">
+            <button type="button" class="btn ${entry.blocked || entry.inactive ? 'btn-outline-danger' : 'btn-primary'}" data-account-index="${index}" data-i18n="generator.accountLookup.useInfo">
+                Use This Information
+            </button>
+        </div>
+    `;
+}
+
+function renderAccountStatusAlert(entry) {
+    const warning = getRegisterWarning(entry);
+    if (!warning) {
+        return '';
+    }
+    return `
+        <div class="alert alert-danger" role="alert">
+            <i class="fas fa-ban me-2"></i><strong>${escapeHtml(warning)}</strong>
+        </div>
+    `;
+}
+
+// Register entries seen in lookups and searches, by normalized account
+const registerStatus = new Map();
+
+function rememberAccountStatus(entries) {
+    entries.forEach((entry) => {
+        const normalized = window.AccountNumber.normalize(entry.account || '');
+        if (normalized) {
+            registerStatus.set(normalized, entry);
+            // Saved payees record when their accounts were last verified
+            window.PayeeDirectory?.markVerified(normalized, entry);
+        }
+    });
+    document.dispatchEvent(new CustomEvent('accountStatusChanged'));
+}
+
+function getRegisterWarning(entry) {
+    if (entry.blocked) {
+        return t('generator.accountLookup.blockedWarning', {
+            status: entry.blockStatus,
+        });
+    }
+    if (entry.inactive) {
+        return t('generator.accountLookup.inactiveWarning', {
+            status: entry.status,
+        });
+    }
+    return null;
+}
+
+// Register entry seen for an account in this session, or null
+function getRegisterEntry(account) {
+    return (
+        registerStatus.get(window.AccountNumber.normalize(account || '')) ||
+        null
+    );
+}
+
+// Warning for an account the register reported as blocked or not active,
+// or null when it is fine or has not been looked up. Saved payees keep the
+// status of their last verification.
+function getAccountWarning(account) {
+    const entry =
+        getRegisterEntry(account) ||
+        window.PayeeDirectory?.findByAccount(account)?.account.registerStatus;
+    return entry ? getRegisterWarning(entry) : null;
+}
+
+// Badge with the verification state of a saved payee account
+function renderPayeeStatusBadge(account) {
+    const status = account.registerStatus;
+    if (status && (status.blocked || status.inactive)) {
+        const flag = status.blocked ? 'blocked' : 'inactive';
+        return `<span class="badge bg-danger">${escapeHtml(t(`generator.accountLookup.flags.${flag}`))}</span>`;
+    }
+    if (account.verifiedOn) {
+        const date = new Date(account.verifiedOn).toLocaleDateString();
+        return `<span class="badge bg-success"><i class="fas fa-check me-1"></i>${escapeHtml(t('payees.verifiedOn', { date }))}</span>`;
+    }
+    return `<span class="badge bg-secondary" data-i18n="payees.notVerified">Not verified</span>`;
+}
+
 // Function to fill account information into the form
 function fillAccountInfo(name, address) {
     const nameField = document.getElementById('NGenerator');
@@ -927,14 +1042,244 @@ function fillAccountInfo(name, address) {
     showNotification(t('generator.accountLookup.infoFilled'), 'success');
 }
 
-// Helper function to find cell containing a pattern
-function findCellWithPattern(cellTexts, pattern) {
-    for (const text of cellTexts) {
-        if (text && pattern.test(text)) {
-            return text;
+// Register entries for an account split by AccountNumber.check, from the
+// active backend profile's proxy or register page
+async function fetchRegisterEntries(account) {
+    const profile = window.BackendProfiles.current();
+    let accounts;
+    if (profile.accountAPI) {
+        accounts = await fetchAccountsFromProxy(
+            `${profile.accountAPI.replace(/\/$/, '')}/${account.normalized}`
+        );
+    } else if (profile.accountURL) {
+        accounts = await fetchAccountsFromRegister(profile.accountURL, account);
+    } else {
+        throw new Error(t('generator.accountLookup.unavailable'));
+    }
+
+    rememberAccountStatus(accounts);
+    return accounts;
+}
+
+// Register entries from the proxy's /account endpoint
+async function fetchAccountsFromProxy(url) {
+    const response = await fetch(url, {
+        headers: { Accept: 'application/json' },
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(
+            data.message || `HTTP error! status: ${response.status}`
+        );
+    }
+    return data.accounts || [];
+}
+
+// Register entries scraped from the register page (needs CORS access)
+async function fetchAccountsFromRegister(registerUrl, criteria) {
+    const response = await fetch(
+        `${registerUrl}?${window.AccountRegister.buildQuery(criteria)}`
+    );
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return window.AccountRegister.parse(await response.text());
+}
+
+// Reverse account search by company name, PIB or MB
+let accountSearchResults = null;
+
+function setupAccountSearch() {
+    const form = document.getElementById('accountSearchForm');
+    if (!form) {
+        return;
+    }
+
+    form.addEventListener('keydown', function (event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            searchAccounts();
         }
+    });
+    document.addEventListener('languageChanged', renderAccountSearchResults);
+}
+
+function openAccountSearch() {
+    const modal = bootstrap.Modal.getOrCreateInstance(
+        document.getElementById('accountSearchModal')
+    );
+    modal.show();
+}
+
+async function searchAccounts() {
+    const results = document.getElementById('accountSearchResults');
+    const search = window.AccountRegister.checkSearch({
+        name: document.getElementById('accountSearchName').value,
+        taxId: document.getElementById('accountSearchTaxId').value,
+        nationalId: document.getElementById('accountSearchNationalId').value,
+        city: document.getElementById('accountSearchCity').value,
+    });
+
+    if (!search.valid) {
+        results.innerHTML = `
+            <div class="alert alert-warning mb-0" role="alert">
+                <i class="fas fa-exclamation-triangle me-2"></i>${escapeHtml(search.message)}
+            </div>
+        `;
+        return;
+    }
+
+    const profile = window.BackendProfiles.current();
+    if (!profile.accountAPI && !profile.accountURL) {
+        showNotification(t('generator.accountLookup.unavailable'), 'warning');
+        return;
+    }
+
+    results.innerHTML = `
+        <div class="text-center">
+            <div class="spinner-border text-primary mb-3" role="status">
+                <span class="visually-hidden" data-i18n="common.loading">Loading...</span>
+            </div>
+            <div data-i18n="generator.accountSearch.searching">Searching the account register...</div>
+        </div>
+    `;
+
+    try {
+        accountSearchResults = profile.accountAPI
+            ? await fetchAccountsFromProxy(
+                  `${profile.accountAPI.replace(/\/$/, '')}?${new URLSearchParams(search.criteria)}`
+              )
+            : await fetchAccountsFromRegister(
+                  profile.accountURL,
+                  search.criteria
+              );
+        rememberAccountStatus(accountSearchResults);
+        renderAccountSearchResults();
+    } catch (error) {
+        console.error('Error searching accounts:', error);
+        accountSearchResults = null;
+        results.innerHTML = `
+            <div class="alert alert-danger mb-0" role="alert">
+                <i class="fas fa-exclamation-circle me-2"></i>
+                <span data-i18n="generator.accountLookup.error">Error loading account information. This may be due to CORS restrictions or network issues.</span>
+                <br><small>${escapeHtml(error.message)}</small>
+            </div>
+        `;
+    }
+}
+
+// One row per account; a company with several accounts gets several rows
+function renderAccountSearchResults() {
+    const results = document.getElementById('accountSearchResults');
+    if (!results || !accountSearchResults) {
+        return;
+    }
+
+    if (accountSearchResults.length === 0) {
+        results.innerHTML = `
+            <div class="alert alert-warning mb-0" role="alert">
+                <i class="fas fa-exclamation-triangle me-2"></i>
+                <span data-i18n="generator.accountSearch.noResults">No accounts match the search.</span>
+            </div>
+        `;
+        return;
+    }
+
+    const rows = accountSearchResults
+        .map((entry, index) => {
+            const normalized = window.AccountNumber.normalize(entry.account);
+            const bank =
+                entry.bank ||
+                (normalized &&
+                    window.BankRegistry.get(normalized.substring(0, 3))
+                        ?.name) ||
+                '';
+            const flagged = entry.blocked || entry.inactive;
+            return `
+                <tr class="${flagged ? 'table-danger' : ''}">
+                    <td>
+                        <div class="fw-semibold">${escapeHtml(entry.name)}</div>
+                        <div class="small text-muted">${escapeHtml([entry.address, entry.city].filter(Boolean).join(', '))}</div>
+                        <div class="small text-muted">PIB ${escapeHtml(entry.taxId || '-')} · MB ${escapeHtml(entry.nationalId || '-')}</div>
+                    </td>
+                    <td class="font-monospace text-nowrap">${escapeHtml(entry.account || 'N/A')}</td>
+                    <td>${escapeHtml(bank || 'N/A')}</td>
+                    <td>
+                        ${escapeHtml(entry.status || 'N/A')}
+                        ${entry.inactive ? '<span class="badge bg-danger ms-1" data-i18n="generator.accountLookup.flags.inactive">Not active</span>' : ''}
+                    </td>
+                    <td>
+                        ${escapeHtml(entry.blockStatus || 'N/A')}
+                        ${entry.blocked ? '<span class="badge bg-danger ms-1" data-i18n="generator.accountLookup.flags.blocked">Blocked</span>' : ''}
+                    </td>
+                    <td class="text-end">
+                        <button type="button" class="btn btn-sm ${flagged ? 'btn-outline-danger' : 'btn-primary'}" data-account-index="${index}" ${normalized ? '' : 'disabled'}>
+                            <span data-i18n="generator.accountSearch.use">Use</span>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        })
+        .join('');
+
+    results.innerHTML = `
+        <p class="small text-muted">${escapeHtml(t('generator.accountSearch.results', { count: accountSearchResults.length }))}</p>
+        <div class="table-responsive">
+            <table class="table table-sm table-hover align-middle">
+                <thead>
+                    <tr>
+                        <th data-i18n="generator.accountSearch.columns.company">Company</th>
+                        <th data-i18n="generator.accountLookup.fields.account">Account Number</th>
+                        <th data-i18n="generator.accountLookup.fields.bank">Bank</th>
+                        <th data-i18n="generator.accountLookup.fields.status">Status</th>
+                        <th data-i18n="generator.accountLookup.fields.blockStatus">Block Status</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+
+    results.querySelectorAll('[data-account-index]').forEach((button) => {
+        button.addEventListener('click', () =>
+            useRegisterEntry(
+                accountSearchResults[button.dataset.accountIndex],
+                'accountSearchModal'
+            )
+        );
+    });
+}
+
+// Fill R and N from a register entry and close the dialog it came from
+function useRegisterEntry(entry, modalId) {
+    const accountField = document.getElementById('RGenerator');
+    const normalized = window.AccountNumber.normalize(entry.account || '');
+    if (accountField && normalized) {
+        accountField.value = normalized;
+        accountField.dispatchEvent(new Event('blur'));
+    }
+
+    const nameField = document.getElementById('NGenerator');
+    if (nameField && entry.name) {
+        nameField.value = entry.address
+            ? `${entry.name}\n${entry.address}`
+            : entry.name;
+    }
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById(modalId));
+    if (modal) {
+        modal.hide();
+    }
+
+    const warning = getRegisterWarning(entry);
+    if (warning) {
+        showNotification(warning, 'error');
+    } else {
+        showNotification(t('generator.accountLookup.infoFilled'), 'success');
     }
-    return 'N/A';
 }
 
 // Export functions for global access
@@ -947,9 +1292,18 @@ window.NBSApp = {
     clearForm,
     prepareGenRequestData,
     prepareTextRequestData,
+    getPaymentTypeTags,
+    normalizeAmount,
+    parseAmount: window.IPSAmount.parse,
+    formatAmount: window.IPSAmount.format,
     saveTemplate,
+    getAccountWarning,
+    getRegisterEntry,
+    fetchRegisterEntries,
 };
 
 // Make functions globally accessible
 window.lookupAccountInfo = lookupAccountInfo;
 window.fillAccountInfo = fillAccountInfo;
+window.openAccountSearch = openAccountSearch;
+window.searchAccounts = searchAccounts;
@@ -0,0 +1,54 @@
+// Helpers shared by the modules in assets/js: finding sibling modules and
+// resolving messages through i18n with English fallbacks. The layout loads
+// this file before any of them; in Node each module requires it.
+
+(function () {
+    'use strict';
+
+    // Sibling modules are globals in the browser and CommonJS modules in
+    // Node. Paths are relative to assets/js, where every module lives.
+    function loadModule(name, path) {
+        if (typeof window !== 'undefined' && window[name]) {
+            return window[name];
+        }
+        return typeof module !== 'undefined' ? module.require(path) : null;
+    }
+
+    // Text for an i18n key, or the fallback with its {{param}}s filled in
+    function message(key, fallback, params = {}) {
+        if (typeof window !== 'undefined' && window.i18n) {
+            const translation = window.i18n.t(key, params);
+            if (translation !== key) {
+                return translation;
+            }
+        }
+
+        return String(fallback ?? '').replace(
+            /\{\{(\w+)\}\}/g,
+            (match, param) =>
+                params[param] !== undefined ? params[param] : match
+        );
+    }
+
+    // translate(code, params) for a module's messages: i18n keys under
+    // prefix, English fallbacks from messages
+    function translator(prefix, messages) {
+        return (code, params = {}) =>
+            message(`${prefix}.${code}`, messages[code] || code, params);
+    }
+
+    const ModuleUtils = {
+        loadModule,
+        message,
+        translator,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.ModuleUtils = ModuleUtils;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ModuleUtils;
+    }
+})();
@@ -0,0 +1,420 @@
+// Payee directory: saved recipients with their accounts and default payment
+// details, kept in localStorage next to the templates. An account is marked
+// verified when an account register lookup returns it.
+
+(function () {
+    'use strict';
+
+    const { loadModule, translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    const STORAGE_KEY = 'nbs_ips_payees';
+    const EXPORT_VERSION = '1.0';
+
+    // English fallbacks for messages under payees.errors.* in assets/i18n
+    const MESSAGES = {
+        nameRequired: 'Name is required',
+        nameTooLong:
+            'Name and address together exceed {{max}} characters ({{length}})',
+        tooManyLines: 'At most {{max}} address lines are allowed',
+        accountRequired: 'At least one account is required',
+        invalidAccount: 'Account {{value}} is not a valid account number',
+        duplicateAccount: 'Account {{value}} is listed twice',
+        invalidPaymentCode: 'Payment code {{value}} does not exist',
+        purposeTooLong: 'Purpose exceeds {{max}} characters',
+        invalidReference: 'Reference {{value}} is invalid: {{detail}}',
+        invalidFile: 'The file is not a payee export',
+        saveFailed:
+            'The payees could not be saved; the browser storage is full or blocked',
+    };
+
+    const translate = translator('payees.errors', MESSAGES);
+
+    function text(value) {
+        return String(value ?? '').trim();
+    }
+
+    // Text for the N tag: name, then the address lines
+    function toRecipientText(payee) {
+        return [payee.name, ...payee.address].join('\n');
+    }
+
+    // Split N text into a name and address lines
+    function fromRecipientText(value) {
+        const [name = '', ...address] = String(value || '')
+            .split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter(Boolean);
+        return { name, address };
+    }
+
+    // Clean up a payee and collect every problem with it
+    function validate(input) {
+        const AccountNumber = loadModule('AccountNumber', './account-number');
+        const PaymentCodes = loadModule('PaymentCodes', './payment-codes');
+        const ReferenceNumber = loadModule(
+            'ReferenceNumber',
+            './reference-number'
+        );
+        const FieldLimits = loadModule('FieldLimits', './field-limits');
+        const errors = [];
+
+        // N has the name on its first line and the address on the others
+        const maxAddressLines = FieldLimits.TEXT_LIMITS.N.maxLines - 1;
+        const address = (input.address || []).map(text).filter(Boolean);
+        const payee = {
+            name: text(input.name),
+            address: address.slice(0, maxAddressLines),
+            accounts: [],
+            defaults: {
+                SF: text(input.defaults?.SF),
+                S: text(input.defaults?.S),
+                RO: text(input.defaults?.RO).replace(/\s/g, ''),
+            },
+            notes: text(input.notes),
+        };
+
+        if (!payee.name) {
+            errors.push(translate('nameRequired'));
+        }
+        FieldLimits.checkText(
+            'N',
+            toRecipientText({ name: payee.name, address })
+        ).forEach((issue) => {
+            errors.push(
+                issue.code === 'tooLong'
+                    ? translate('nameTooLong', issue.params)
+                    : translate('tooManyLines', { max: maxAddressLines })
+            );
+        });
+
+        (input.accounts || []).forEach((entry) => {
+            const value = text(entry.account);
+            if (!value) {
+                return;
+            }
+            const check = AccountNumber.check(value);
+            if (!check.valid) {
+                errors.push(translate('invalidAccount', { value }));
+                return;
+            }
+            if (payee.accounts.some((a) => a.account === check.normalized)) {
+                errors.push(
+                    translate('duplicateAccount', { value: check.formatted })
+                );
+                return;
+            }
+            payee.accounts.push({
+                account: check.normalized,
+                label: text(entry.label),
+                verifiedOn: entry.verifiedOn || null,
+                registerStatus: entry.registerStatus || null,
+            });
+        });
+        if (payee.accounts.length === 0 && !errors.length) {
+            errors.push(translate('accountRequired'));
+        }
+
+        const { SF, S, RO } = payee.defaults;
+        if (SF && !PaymentCodes.get(SF)) {
+            errors.push(translate('invalidPaymentCode', { value: SF }));
+        }
+        FieldLimits.checkText('S', S).forEach((issue) => {
+            errors.push(
+                issue.code === 'tooLong'
+                    ? translate('purposeTooLong', issue.params)
+                    : issue.message
+            );
+        });
+        if (RO) {
+            const reference = ReferenceNumber.check(RO);
+            if (!reference.valid) {
+                errors.push(
+                    translate('invalidReference', {
+                        value: RO,
+                        detail: reference.message,
+                    })
+                );
+            }
+        }
+
+        return { valid: errors.length === 0, payee, errors };
+    }
+
+    class PayeeDirectory {
+        constructor(storage) {
+            this.storage =
+                storage ||
+                (typeof localStorage !== 'undefined' ? localStorage : null);
+            this.payees = this.load();
+        }
+
+        // Saved payees; storage that cannot be read starts an empty list
+        load() {
+            try {
+                const stored =
+                    this.storage && this.storage.getItem(STORAGE_KEY);
+                return stored ? JSON.parse(stored) : [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        // false when the storage refused the list
+        save() {
+            try {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify(this.payees));
+            } catch (error) {
+                return false;
+            }
+
+            if (typeof document !== 'undefined') {
+                document.dispatchEvent(new CustomEvent('payeesChanged'));
+            }
+            return true;
+        }
+
+        generateId() {
+            return `payee_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+        }
+
+        // All payees sorted by name
+        list() {
+            return this.payees
+                .slice()
+                .sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        get(id) {
+            return this.payees.find((payee) => payee.id === id) || null;
+        }
+
+        // Validation result of a change the storage refused
+        saveFailed(result) {
+            return {
+                ...result,
+                valid: false,
+                errors: [translate('saveFailed')],
+            };
+        }
+
+        // Add a payee; returns the validation result with the stored payee,
+        // or an error when it could not be saved
+        add(input) {
+            const result = validate(input);
+            if (!result.valid) {
+                return result;
+            }
+
+            const now = new Date().toISOString();
+            const payee = {
+                id: this.generateId(),
+                ...result.payee,
+                createdAt: now,
+                updatedAt: now,
+                usageCount: 0,
+                lastUsed: null,
+            };
+            this.payees.push(payee);
+            if (!this.save()) {
+                this.payees.pop();
+                return this.saveFailed(result);
+            }
+            return { ...result, payee };
+        }
+
+        update(id, input) {
+            const existing = this.get(id);
+            const result = validate(input);
+            if (!existing || !result.valid) {
+                return result;
+            }
+
+            const previous = { ...existing };
+            Object.assign(existing, result.payee, {
+                updatedAt: new Date().toISOString(),
+            });
+            if (!this.save()) {
+                Object.assign(existing, previous);
+                return this.saveFailed(result);
+            }
+            return { ...result, payee: existing };
+        }
+
+        remove(id) {
+            const index = this.payees.findIndex((payee) => payee.id === id);
+            if (index === -1) {
+                return false;
+            }
+            const [removed] = this.payees.splice(index, 1);
+            if (!this.save()) {
+                this.payees.splice(index, 0, removed);
+                return false;
+            }
+            return true;
+        }
+
+        recordUse(id) {
+            const payee = this.get(id);
+            if (payee) {
+                payee.usageCount = (payee.usageCount || 0) + 1;
+                payee.lastUsed = new Date().toISOString();
+                this.save();
+            }
+        }
+
+        // Payee and account entry holding an account number
+        findByAccount(account) {
+            const AccountNumber = loadModule(
+                'AccountNumber',
+                './account-number'
+            );
+            const normalized = AccountNumber.normalize(account || '');
+            if (!normalized) {
+                return null;
+            }
+
+            for (const payee of this.payees) {
+                const entry = payee.accounts.find(
+                    (a) => a.account === normalized
+                );
+                if (entry) {
+                    return { payee, account: entry };
+                }
+            }
+            return null;
+        }
+
+        // { payee, account } pairs whose name, address, label or account
+        // number matches the query; most used payees first
+        search(query, limit = 8) {
+            const term = text(query).toLowerCase();
+            const digits = term.replace(/\D/g, '');
+            if (!term) {
+                return [];
+            }
+
+            const matches = [];
+            this.payees
+                .slice()
+                .sort((a, b) => (b.usageCount || 0) - (a.usageCount || 0))
+                .forEach((payee) => {
+                    const nameMatch = toRecipientText(payee)
+                        .toLowerCase()
+                        .includes(term);
+                    payee.accounts.forEach((account) => {
+                        if (
+                            nameMatch ||
+                            account.label.toLowerCase().includes(term) ||
+                            (digits.length >= 3 &&
+                                account.account.includes(digits))
+                        ) {
+                            matches.push({ payee, account });
+                        }
+                    });
+                });
+
+            return matches.slice(0, limit);
+        }
+
+        // Record a register lookup for every payee holding the account; false
+        // when no payee holds it or the record could not be saved
+        markVerified(account, entry) {
+            const match = this.findByAccount(account);
+            if (!match) {
+                return false;
+            }
+
+            const verifiedOn = new Date().toISOString();
+            this.payees.forEach((payee) => {
+                payee.accounts
+                    .filter((a) => a.account === match.account.account)
+                    .forEach((a) => {
+                        a.verifiedOn = verifiedOn;
+                        a.registerStatus = {
+                            name: entry.name || '',
+                            status: entry.status || '',
+                            blockStatus: entry.blockStatus || '',
+                            blocked: Boolean(entry.blocked),
+                            inactive: Boolean(entry.inactive),
+                        };
+                    });
+            });
+            return this.save();
+        }
+
+        toRecipientText(payee) {
+            return toRecipientText(payee);
+        }
+
+        fromRecipientText(value) {
+            return fromRecipientText(value);
+        }
+
+        exportJSON() {
+            return JSON.stringify(
+                {
+                    version: EXPORT_VERSION,
+                    exportDate: new Date().toISOString(),
+                    payees: this.payees,
+                },
+                null,
+                2
+            );
+        }
+
+        // Import an export file; payees with the same name are skipped or,
+        // with { overwrite: true }, replaced
+        importJSON(json, options = {}) {
+            let data;
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                throw new Error(translate('invalidFile'));
+            }
+            if (!data || !Array.isArray(data.payees)) {
+                throw new Error(translate('invalidFile'));
+            }
+
+            const results = { imported: 0, skipped: 0, errors: [] };
+            data.payees.forEach((input, index) => {
+                const existing = this.payees.find(
+                    (payee) =>
+                        payee.name.toLowerCase() ===
+                        text(input.name).toLowerCase()
+                );
+                if (existing && !options.overwrite) {
+                    results.skipped++;
+                    return;
+                }
+
+                const result = existing
+                    ? this.update(existing.id, input)
+                    : this.add(input);
+                if (result.valid) {
+                    results.imported++;
+                } else {
+                    results.skipped++;
+                    results.errors.push(
+                        `${index + 1}. ${text(input.name) || '?'}: ${result.errors.join('; ')}`
+                    );
+                }
+            });
+
+            return results;
+        }
+    }
+
+    PayeeDirectory.validate = validate;
+
+    if (typeof window !== 'undefined') {
+        window.PayeeDirectory = new PayeeDirectory();
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PayeeDirectory;
+    }
+})();
@@ -0,0 +1,268 @@
+// Payer profiles: named name-and-address blocks for the P tag, kept in
+// localStorage. One profile can be the default, which the generator fills in
+// on its own. Templates can reference a profile by id (data.payerProfile)
+// instead of embedding the P text.
+
+(function () {
+    'use strict';
+
+    const { loadModule, translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    const STORAGE_KEY = 'nbs_ips_payers';
+
+    // English fallbacks for messages under payerProfiles.errors.* in
+    // assets/i18n
+    const MESSAGES = {
+        nameRequired: 'Payer name is required',
+        tooLong:
+            'Name and address together exceed {{max}} characters ({{length}})',
+        tooManyLines: 'At most {{max}} address lines are allowed',
+        saveFailed:
+            'The payer profiles could not be saved; the browser storage is full or blocked',
+    };
+
+    const translate = translator('payerProfiles.errors', MESSAGES);
+
+    // Split P text into the payer name and address lines
+    function parseText(value) {
+        const [name = '', ...address] = String(value || '')
+            .split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter(Boolean);
+        return { name, address };
+    }
+
+    // Clean up a profile ({ label, text, isDefault }) and collect every
+    // problem with it
+    function validate(input) {
+        const FieldLimits = loadModule('FieldLimits', './field-limits');
+        const { name, address } = parseText(input.text);
+        // P has the name on its first line and the address on the others
+        const maxAddressLines = FieldLimits.TEXT_LIMITS.P.maxLines - 1;
+        const profile = {
+            label: String(input.label || '').trim() || name,
+            name,
+            address: address.slice(0, maxAddressLines),
+            isDefault: Boolean(input.isDefault),
+        };
+        const errors = [];
+
+        if (!name) {
+            errors.push(translate('nameRequired'));
+        }
+        FieldLimits.checkText('P', [name, ...address].join('\n')).forEach(
+            (issue) => {
+                errors.push(
+                    issue.code === 'tooLong'
+                        ? translate('tooLong', issue.params)
+                        : translate('tooManyLines', { max: maxAddressLines })
+                );
+            }
+        );
+
+        return { valid: errors.length === 0, profile, errors };
+    }
+
+    class PayerProfiles {
+        constructor(storage) {
+            this.storage =
+                storage ||
+                (typeof localStorage !== 'undefined' ? localStorage : null);
+            this.profiles = this.load();
+        }
+
+        // Saved profiles; storage that cannot be read starts an empty list
+        load() {
+            try {
+                const stored =
+                    this.storage && this.storage.getItem(STORAGE_KEY);
+                return stored ? JSON.parse(stored) : [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        // false when the storage refused the list
+        save() {
+            try {
+                this.storage.setItem(
+                    STORAGE_KEY,
+                    JSON.stringify(this.profiles)
+                );
+            } catch (error) {
+                return false;
+            }
+
+            if (typeof document !== 'undefined') {
+                document.dispatchEvent(new CustomEvent('payerProfilesChanged'));
+            }
+            return true;
+        }
+
+        // Save a change, or put back the profiles as they were before it
+        // (previous) when the storage refuses it
+        commit(previous) {
+            if (this.save()) {
+                return true;
+            }
+            this.profiles = previous;
+            return false;
+        }
+
+        // Validation result of a change the storage refused
+        saveFailed(result) {
+            return {
+                ...result,
+                valid: false,
+                errors: [translate('saveFailed')],
+            };
+        }
+
+        generateId() {
+            return `payer_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+        }
+
+        // All profiles, the default first, then by label
+        list() {
+            return this.profiles
+                .slice()
+                .sort(
+                    (a, b) =>
+                        b.isDefault - a.isDefault ||
+                        a.label.localeCompare(b.label)
+                );
+        }
+
+        get(id) {
+            return this.profiles.find((profile) => profile.id === id) || null;
+        }
+
+        getDefault() {
+            return this.profiles.find((profile) => profile.isDefault) || null;
+        }
+
+        // Add a profile; returns the validation result with the stored
+        // profile, or an error when it could not be saved
+        add(input) {
+            const result = validate(input);
+            if (!result.valid) {
+                return result;
+            }
+
+            const now = new Date().toISOString();
+            const profile = {
+                id: this.generateId(),
+                ...result.profile,
+                createdAt: now,
+                updatedAt: now,
+            };
+            const previous = this.copy();
+            this.profiles.push(profile);
+            if (profile.isDefault) {
+                this.markDefault(profile.id);
+            }
+            if (!this.commit(previous)) {
+                return this.saveFailed(result);
+            }
+            return { ...result, profile };
+        }
+
+        update(id, input) {
+            const existing = this.get(id);
+            const result = validate(input);
+            if (!existing || !result.valid) {
+                return result;
+            }
+
+            const previous = this.copy();
+            Object.assign(existing, result.profile, {
+                updatedAt: new Date().toISOString(),
+            });
+            if (existing.isDefault) {
+                this.markDefault(id);
+            }
+            if (!this.commit(previous)) {
+                return this.saveFailed(result);
+            }
+            return { ...result, profile: existing };
+        }
+
+        remove(id) {
+            const index = this.profiles.findIndex(
+                (profile) => profile.id === id
+            );
+            if (index === -1) {
+                return false;
+            }
+            const previous = this.copy();
+            this.profiles.splice(index, 1);
+            return this.commit(previous);
+        }
+
+        // Make one profile the default, or clear the default with null;
+        // false when the storage refused the change
+        setDefault(id) {
+            const previous = this.copy();
+            this.markDefault(id);
+            return this.commit(previous);
+        }
+
+        markDefault(id) {
+            this.profiles.forEach((profile) => {
+                profile.isDefault = profile.id === id;
+            });
+        }
+
+        // Profiles as they are now, for commit to put back
+        copy() {
+            return this.profiles.map((profile) => ({ ...profile }));
+        }
+
+        // P text of a profile: name, then the address lines
+        toText(profile) {
+            return [profile.name, ...profile.address].join('\n');
+        }
+
+        // Profile whose P text is exactly this text, if any
+        findByText(text) {
+            const { name, address } = parseText(text);
+            const value = [name, ...address].join('\n');
+            return (
+                this.profiles.find(
+                    (profile) => value && this.toText(profile) === value
+                ) || null
+            );
+        }
+
+        // Template data with P filled in from data.payerProfile. P is left
+        // out when the profile no longer exists.
+        resolveTemplateData(data) {
+            if (!data || !data.payerProfile) {
+                return data;
+            }
+
+            const resolved = { ...data };
+            const profile = this.get(data.payerProfile);
+            if (profile) {
+                resolved.P = this.toText(profile);
+            } else {
+                delete resolved.P;
+            }
+            return resolved;
+        }
+    }
+
+    PayerProfiles.validate = validate;
+
+    if (typeof window !== 'undefined') {
+        window.PayerProfiles = new PayerProfiles();
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PayerProfiles;
+    }
+})();
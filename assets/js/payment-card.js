@@ -0,0 +1,244 @@
+// Payment card: the IPS QR code with a readable summary of the payment
+// (recipient, account, amount, purpose, reference) drawn as one PNG, so an
+// image forwarded in a chat shows what it pays before anyone scans it.
+// Labels follow the active interface language.
+
+(function () {
+    'use strict';
+
+    const { loadModule, translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    // Card layout in CSS pixels; the image is drawn at SCALE times that
+    const WIDTH = 480;
+    const PADDING = 24;
+    const HEADER_HEIGHT = 52;
+    const QR_SIZE = 264;
+    const SCALE = 2;
+
+    const COLORS = {
+        header: '#0d6efd',
+        headerText: '#ffffff',
+        label: '#6c757d',
+        value: '#212529',
+        rule: '#dee2e6',
+        background: '#ffffff',
+    };
+
+    const FONT = 'Arial, Helvetica, sans-serif';
+
+    // English fallbacks for labels under generator.card.* in assets/i18n
+    const LABELS = {
+        title: 'IPS payment',
+        recipient: 'Recipient',
+        account: 'Account',
+        amount: 'Amount',
+        purpose: 'Purpose',
+        reference: 'Reference',
+        footer: "Scan with your bank's mobile app",
+    };
+
+    // English fallbacks for messages under generator.card.errors.* in
+    // assets/i18n
+    const MESSAGES = {
+        drawFailed: 'Could not draw the card',
+    };
+
+    const label = translator('generator.card', LABELS);
+    const translate = translator('generator.card.errors', MESSAGES);
+
+    // Card fields from form data ({ N, R, I, S, RO }) and the payload its QR
+    // code carries
+    function fromFormData(data, payload) {
+        const AccountNumber = loadModule('AccountNumber', './account-number');
+        const PaymentSlip = loadModule('PaymentSlip', './payment-slip');
+        const reference = String(data.RO || '').trim();
+        const amount = PaymentSlip.formatAmount(data.I);
+
+        return {
+            recipient: String(data.N || '').trim(),
+            account: AccountNumber.format(
+                AccountNumber.normalize(data.R || '') || String(data.R || '')
+            ),
+            amount: amount ? `${amount} RSD` : '',
+            purpose: String(data.S || '').trim(),
+            // Model and reference, as on the payment slip: 97 821234
+            reference: reference
+                ? `${reference.substring(0, 2)} ${reference.substring(2)}`.trim()
+                : '',
+            payload,
+        };
+    }
+
+    // Labelled rows of the summary, skipping empty fields
+    function rows(card) {
+        return ['recipient', 'account', 'amount', 'purpose', 'reference']
+            .filter((key) => card[key])
+            .map((key) => ({ key, label: label(key), value: card[key] }));
+    }
+
+    // Plain-text summary for chat messages
+    function toText(card) {
+        return [
+            label('title'),
+            ...rows(card).map(
+                (row) => `${row.label}: ${row.value.replace(/\s*\n\s*/g, ', ')}`
+            ),
+        ].join('\n');
+    }
+
+    // Lines of text that fit maxWidth with the context's current font
+    function wrapText(context, text, maxWidth) {
+        const lines = [];
+        String(text)
+            .split(/\r?\n/)
+            .forEach((paragraph) => {
+                let line = '';
+                paragraph.split(/\s+/).forEach((word) => {
+                    const candidate = line ? `${line} ${word}` : word;
+                    if (
+                        line &&
+                        context.measureText(candidate).width > maxWidth
+                    ) {
+                        lines.push(line);
+                        line = word;
+                    } else {
+                        line = candidate;
+                    }
+                });
+                lines.push(line);
+            });
+        return lines;
+    }
+
+    function rowFont(row) {
+        return row.key === 'amount' ? `bold 24px ${FONT}` : `bold 17px ${FONT}`;
+    }
+
+    function rowLineHeight(row) {
+        return row.key === 'amount' ? 30 : 22;
+    }
+
+    // Draw the card onto a canvas (a new one unless given) and return it
+    function render(card, canvas) {
+        const QREncoder = loadModule('QREncoder', './qr-encoder');
+        const target = canvas || document.createElement('canvas');
+        let context = target.getContext('2d');
+        const textWidth = WIDTH - PADDING * 2;
+
+        // Wrap every value first; the height of the card depends on it
+        const blocks = rows(card).map((row) => {
+            context.font = rowFont(row);
+            return { ...row, lines: wrapText(context, row.value, textWidth) };
+        });
+        const rowsHeight = blocks.reduce(
+            (total, block) =>
+                total + 18 + block.lines.length * rowLineHeight(block) + 10,
+            0
+        );
+        const qrTop = HEADER_HEIGHT + PADDING;
+        const rowsTop = qrTop + QR_SIZE + PADDING;
+        const height = rowsTop + rowsHeight + 44;
+
+        // Resizing a canvas resets its context
+        target.width = WIDTH * SCALE;
+        target.height = height * SCALE;
+        context = target.getContext('2d');
+        context.scale(SCALE, SCALE);
+        context.textBaseline = 'top';
+        context.textAlign = 'left';
+
+        context.fillStyle = COLORS.background;
+        context.fillRect(0, 0, WIDTH, height);
+
+        context.fillStyle = COLORS.header;
+        context.fillRect(0, 0, WIDTH, HEADER_HEIGHT);
+        context.fillStyle = COLORS.headerText;
+        context.font = `bold 20px ${FONT}`;
+        context.fillText(label('title'), PADDING, 16);
+
+        // QR code with its quiet zone, modules on whole device pixels
+        const qr = QREncoder.encode(card.payload);
+        const modules = qr.size + 8;
+        const pixels = Math.floor((QR_SIZE * SCALE) / modules);
+        const qrLeft = Math.floor((WIDTH * SCALE - pixels * modules) / 2);
+        context.save();
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.fillStyle = COLORS.value;
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) {
+                    context.fillRect(
+                        qrLeft + (x + 4) * pixels,
+                        qrTop * SCALE + (y + 4) * pixels,
+                        pixels,
+                        pixels
+                    );
+                }
+            });
+        });
+        context.restore();
+
+        let top = rowsTop;
+        blocks.forEach((block) => {
+            context.fillStyle = COLORS.rule;
+            context.fillRect(PADDING, top, textWidth, 1);
+            top += 6;
+
+            context.fillStyle = COLORS.label;
+            context.font = `13px ${FONT}`;
+            context.fillText(block.label, PADDING, top);
+            top += 18;
+
+            context.fillStyle = COLORS.value;
+            context.font = rowFont(block);
+            block.lines.forEach((line) => {
+                context.fillText(line, PADDING, top);
+                top += rowLineHeight(block);
+            });
+            top += 4;
+        });
+
+        context.fillStyle = COLORS.label;
+        context.font = `13px ${FONT}`;
+        context.textAlign = 'center';
+        context.fillText(label('footer'), WIDTH / 2, height - 30);
+
+        return target;
+    }
+
+    // PNG blob of the card
+    function toBlob(card) {
+        const canvas = render(card);
+        return new Promise((resolve, reject) =>
+            canvas.toBlob(
+                (blob) =>
+                    blob
+                        ? resolve(blob)
+                        : reject(new Error(translate('drawFailed'))),
+                'image/png'
+            )
+        );
+    }
+
+    const PaymentCard = {
+        WIDTH,
+        SCALE,
+        fromFormData,
+        rows,
+        toText,
+        render,
+        toBlob,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.PaymentCard = PaymentCard;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PaymentCard;
+    }
+})();
@@ -0,0 +1,100 @@
+// Catalogue of payment codes (šifre plaćanja) for the SF tag
+// A code is the group digit (1 = cash, 2 = non-cash) followed by a two-digit
+// purpose. Descriptions live under paymentCodes.purposes.* in assets/i18n.
+
+(function () {
+    'use strict';
+
+    const { message } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    const GROUPS = {
+        1: 'cash',
+        2: 'nonCash',
+    };
+
+    // Purposes defined by the NBS payment order regulation
+    const PURPOSES = (
+        '20 21 22 23 24 25 26 27 28 31 40 41 42 44 45 46 47 48 49 53 54 57 58 60 ' +
+        '61 62 63 64 65 66 70 71 72 73 76 77 78 79 80 81 82 83 84 85 86 87 88 89 90'
+    ).split(' ');
+
+    function describe(purpose) {
+        return message(`paymentCodes.purposes.${purpose}`, '');
+    }
+
+    // Catalogue entry for a three-digit code, or null when it does not exist
+    function get(code) {
+        const value = String(code || '').trim();
+        const group = GROUPS[value.charAt(0)];
+        const purpose = value.substring(1);
+
+        if (value.length !== 3 || !group || !PURPOSES.includes(purpose)) {
+            return null;
+        }
+
+        return {
+            code: value,
+            group,
+            purpose,
+            description: describe(purpose),
+        };
+    }
+
+    // Display text such as "289 - Transactions ordered by individuals (Non-cash)"
+    function label(code) {
+        const entry = get(code);
+        if (!entry) {
+            return null;
+        }
+
+        const group = message(`paymentCodes.groups.${entry.group}`, '');
+        const description = entry.description ? ` - ${entry.description}` : '';
+        return `${entry.code}${description}${group ? ` (${group})` : ''}`;
+    }
+
+    function list() {
+        const entries = [];
+        Object.keys(GROUPS).forEach((digit) => {
+            PURPOSES.forEach((purpose) => {
+                entries.push(get(digit + purpose));
+            });
+        });
+        return entries;
+    }
+
+    // Entries whose code or description contains the query
+    function search(query) {
+        const needle = String(query || '')
+            .trim()
+            .toLowerCase();
+        if (!needle) {
+            return list();
+        }
+        return list().filter(
+            (entry) =>
+                entry.code.startsWith(needle) ||
+                entry.description.toLowerCase().includes(needle)
+        );
+    }
+
+    const PaymentCodes = {
+        GROUPS,
+        PURPOSES,
+        get,
+        label,
+        list,
+        search,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.PaymentCodes = PaymentCodes;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PaymentCodes;
+    }
+})();
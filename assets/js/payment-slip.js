@@ -0,0 +1,227 @@
+// Printable payment slip (nalog za uplatu) with the IPS QR code
+// Lays out the standard 210 x 99 mm slip in millimetres, so it prints at its
+// real size, and stacks up to three slips on an A4 page. The browser's print
+// dialog prints it or saves it as PDF.
+
+(function () {
+    'use strict';
+
+    const { loadModule } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    // One slip is a third of an A4 page
+    const SLIP_WIDTH = 210;
+    const SLIP_HEIGHT = 99;
+    const MAX_PER_PAGE = 3;
+
+    // Side of the printed QR code in millimetres, quiet zone included
+    const QR_SIZE = 27;
+
+    // Labels printed on the slip, in Latin; Cyrillic pages get them
+    // transliterated
+    const LABELS = {
+        title: 'NALOG ZA UPLATU',
+        payer: 'uplatilac',
+        purpose: 'svrha uplate',
+        recipient: 'primalac',
+        paymentCode: 'šifra plaćanja',
+        currency: 'valuta',
+        amount: 'iznos',
+        account: 'račun primaoca',
+        model: 'broj modela',
+        reference: 'poziv na broj (odobrenje)',
+        signature: 'pečat i potpis uplatioca',
+        received: 'mesto i datum prijema',
+        valueDate: 'datum valute',
+    };
+
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    // Labels in the script of the active language
+    function labels() {
+        const cyrillic =
+            typeof window !== 'undefined' &&
+            window.i18n &&
+            window.i18n.currentLanguage === 'sr_RS';
+        if (!cyrillic) {
+            return LABELS;
+        }
+
+        const Transliteration = loadModule(
+            'Transliteration',
+            './transliteration'
+        );
+        return Object.fromEntries(
+            Object.entries(LABELS).map(([key, text]) => [
+                key,
+                Transliteration.toCyrillic(text),
+            ])
+        );
+    }
+
+    // Amount as printed on slips: 1.234,56
+    function formatAmount(value) {
+        const IPSAmount = loadModule('IPSAmount', './amount');
+        const amount = IPSAmount.parse(value || '');
+        if (!amount.valid) {
+            return '';
+        }
+
+        const [whole, decimals = ''] = amount.value.substring(3).split(',');
+        return `${whole.replace(/\B(?=(\d{3})+$)/g, '.')},${decimals.padEnd(2, '0')}`;
+    }
+
+    // Slip fields from form data ({ P, S, N, SF, I, R, RO }) and the payload
+    // its QR code carries
+    function fromFormData(data, payload) {
+        const AccountNumber = loadModule('AccountNumber', './account-number');
+        const reference = String(data.RO || '').trim();
+
+        return {
+            payer: String(data.P || '').trim(),
+            purpose: String(data.S || '').trim(),
+            recipient: String(data.N || '').trim(),
+            paymentCode: String(data.SF || '').trim(),
+            currency: 'RSD',
+            amount: formatAmount(data.I),
+            account: AccountNumber.format(
+                AccountNumber.normalize(data.R || '') || String(data.R || '')
+            ),
+            model: reference.substring(0, 2),
+            reference: reference.substring(2),
+            payload,
+        };
+    }
+
+    function field(label, value, box, className = '') {
+        const [left, top, width, height] = box;
+        return `
+            <div class="label" style="left:${left}mm;top:${top - 3.5}mm;width:${width}mm">${escapeHtml(label)}</div>
+            <div class="box ${className}" style="left:${left}mm;top:${top}mm;width:${width}mm;height:${height}mm">${escapeHtml(value)}</div>`;
+    }
+
+    function signatureLine(label, left, width) {
+        return `
+            <div class="line" style="left:${left}mm;top:88mm;width:${width}mm">${escapeHtml(label)}</div>`;
+    }
+
+    function renderSlip(slip, text) {
+        const QREncoder = loadModule('QREncoder', './qr-encoder');
+        // The four-module quiet zone keeps the slip's lines and text out of
+        // the scanner's view
+        const qr = slip.payload
+            ? QREncoder.toSVG(QREncoder.encode(slip.payload))
+            : '';
+
+        return `
+        <div class="slip">
+            <div class="title">${escapeHtml(text.title)}</div>
+            ${field(text.payer, slip.payer, [6, 12, 94, 15], 'multiline')}
+            ${field(text.purpose, slip.purpose, [6, 33, 94, 15], 'multiline')}
+            ${field(text.recipient, slip.recipient, [6, 54, 94, 15], 'multiline')}
+            ${signatureLine(text.signature, 6, 44)}
+            ${signatureLine(text.received, 56, 44)}
+            <div class="divider"></div>
+            ${field(text.paymentCode, slip.paymentCode, [110, 18, 16, 8], 'center')}
+            ${field(text.currency, slip.currency, [128, 18, 16, 8], 'center')}
+            ${field(text.amount, slip.amount, [146, 18, 58, 8], 'amount')}
+            ${field(text.account, slip.account, [110, 33, 94, 8])}
+            ${field(text.model, slip.model, [110, 48, 16, 8], 'center')}
+            ${field(text.reference, slip.reference, [128, 48, 76, 8])}
+            ${signatureLine(text.valueDate, 110, 40)}
+            <div class="qr" style="left:${204 - QR_SIZE}mm;top:${88 - QR_SIZE}mm;width:${QR_SIZE}mm;height:${QR_SIZE}mm">${qr}</div>
+        </div>`;
+    }
+
+    // Complete HTML document with the slips, perPage (1-3) to an A4 page
+    function render(slips, options = {}) {
+        const perPage = Math.min(
+            MAX_PER_PAGE,
+            Math.max(1, parseInt(options.perPage, 10) || MAX_PER_PAGE)
+        );
+        const text = labels();
+
+        const pages = [];
+        for (let i = 0; i < slips.length; i += perPage) {
+            pages.push(
+                `<div class="page">${slips
+                    .slice(i, i + perPage)
+                    .map((slip) => renderSlip(slip, text))
+                    .join('')}</div>`
+            );
+        }
+
+        return `<!DOCTYPE html>
+<html>
+    <head>
+        <meta charset="utf-8">
+        <title>${escapeHtml(text.title)}</title>
+        <style>
+            @page { size: A4 portrait; margin: 0; }
+            * { box-sizing: border-box; }
+            body { margin: 0; font-family: Arial, sans-serif; color: #000; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+            .page { width: ${SLIP_WIDTH}mm; height: 297mm; overflow: hidden; page-break-after: always; }
+            .page:last-child { page-break-after: auto; }
+            .slip { position: relative; width: ${SLIP_WIDTH}mm; height: ${SLIP_HEIGHT}mm; border-bottom: 0.2mm dashed #999; }
+            .slip > div { position: absolute; }
+            .title { right: 6mm; top: 5mm; font-size: 11pt; font-weight: bold; }
+            .label { font-size: 6.5pt; line-height: 3.5mm; }
+            .box { border: 0.25mm solid #000; padding: 0.8mm 1.5mm; font-size: 9pt; line-height: 1.25; overflow: hidden; white-space: nowrap; }
+            .box.multiline { white-space: pre-line; }
+            .box.center { text-align: center; }
+            .box.amount { text-align: right; font-weight: bold; }
+            .divider { left: 105mm; top: 5mm; height: 89mm; border-left: 0.25mm solid #000; }
+            .line { border-top: 0.25mm solid #000; padding-top: 0.5mm; font-size: 6.5pt; text-align: center; }
+            .qr svg { display: block; width: 100%; height: 100%; }
+            @media screen { body { background: #eee; } .page { background: #fff; margin: 5mm auto; box-shadow: 0 0 2mm rgba(0, 0, 0, 0.3); } }
+        </style>
+    </head>
+    <body>
+        ${pages.join('\n')}
+    </body>
+</html>`;
+    }
+
+    // Open the slips in a new window and start printing; false when the
+    // browser blocked the window
+    function print(slips, options = {}) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            return false;
+        }
+
+        printWindow.document.write(render(slips, options));
+        printWindow.document.close();
+        printWindow.focus();
+        setTimeout(() => printWindow.print(), 250);
+        return true;
+    }
+
+    const PaymentSlip = {
+        SLIP_WIDTH,
+        SLIP_HEIGHT,
+        MAX_PER_PAGE,
+        fromFormData,
+        formatAmount,
+        render,
+        print,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.PaymentSlip = PaymentSlip;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PaymentSlip;
+    }
+})();
@@ -0,0 +1,269 @@
+// PDF stamping: draw an IPS QR code onto existing PDF invoices and find
+// payloads already printed in them. Writing PDFs needs pdf-lib
+// (window.PDFLib) and reading their text needs PDF.js (window.pdfjsLib);
+// the invoices page loads both from the CDN.
+
+(function () {
+    'use strict';
+
+    const { loadModule, translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    // PDF points per millimetre
+    const MM = 72 / 25.4;
+
+    // Modules of white space around the code
+    const QUIET_ZONE = 4;
+
+    const POSITIONS = [
+        'top-left',
+        'top-right',
+        'bottom-left',
+        'bottom-right',
+        'custom',
+    ];
+
+    // Sizes in millimetres; x and y (custom position) are measured from the
+    // top-left corner of the page
+    const DEFAULT_OPTIONS = {
+        page: 'first',
+        position: 'bottom-right',
+        size: 30,
+        margin: 10,
+        x: 0,
+        y: 0,
+    };
+
+    // Start of an IPS payload printed as text, to find all of them and to
+    // test a single line
+    const PAYLOAD_START = /K:(PR|PT|PK|EK)\|V:\d{2}\|C:\d\|/g;
+    const NEXT_PAYLOAD = new RegExp(PAYLOAD_START.source);
+
+    // N and P hold up to three lines each
+    const MAX_PAYLOAD_LINES = 5;
+
+    // English fallbacks for messages under invoices.errors.* in assets/i18n
+    const MESSAGES = {
+        pdfLibrary: 'The PDF writer (pdf-lib) is not loaded',
+        textLibrary: 'The PDF text reader (PDF.js) is not loaded',
+        invalidPdf: 'The file is not a readable PDF',
+        pageOutOfRange: 'The PDF has no page {{page}}',
+        doesNotFit: 'The QR code does not fit on page {{page}}',
+    };
+
+    const translate = translator('invoices.errors', MESSAGES);
+
+    function requireLibrary(name, code) {
+        const library = typeof window !== 'undefined' ? window[name] : null;
+        if (!library) {
+            throw new Error(translate(code));
+        }
+        return library;
+    }
+
+    // Zero-based indexes of the pages to stamp: 'first', 'last', 'all' or a
+    // page number
+    function resolvePages(count, page) {
+        if (page === 'all') {
+            return Array.from({ length: count }, (value, index) => index);
+        }
+        if (page === 'last') {
+            return [count - 1];
+        }
+        if (page === 'first' || page === undefined || page === '') {
+            return [0];
+        }
+
+        const number = parseInt(page, 10);
+        if (!(number >= 1 && number <= count)) {
+            throw new Error(translate('pageOutOfRange', { page }));
+        }
+        return [number - 1];
+    }
+
+    // Visible size of a page and a mapping from points measured from its
+    // visible top-left corner to PDF user space. Viewers show the crop box,
+    // which need not start at (0, 0), turned clockwise by /Rotate.
+    function pageFrame(page) {
+        const crop = page.getCropBox();
+        const angle = Math.round(page.getRotation().angle / 90) * 90;
+        const rotation = ((angle % 360) + 360) % 360;
+        const turned = rotation === 90 || rotation === 270;
+
+        const toUserSpace = (left, top) => {
+            const [dx, dy] = {
+                0: [left, crop.height - top],
+                90: [top, left],
+                180: [crop.width - left, top],
+                270: [crop.width - top, crop.height - left],
+            }[rotation];
+            return { x: crop.x + dx, y: crop.y + dy };
+        };
+
+        return {
+            width: turned ? crop.height : crop.width,
+            height: turned ? crop.width : crop.height,
+            rotation,
+            toUserSpace,
+        };
+    }
+
+    // Top-left corner and side of the code on a page, in points measured
+    // from the top-left corner
+    function placement(width, height, options) {
+        const size = options.size * MM;
+        const margin = options.margin * MM;
+        const corners = {
+            'top-left': [margin, margin],
+            'top-right': [width - margin - size, margin],
+            'bottom-left': [margin, height - margin - size],
+            'bottom-right': [width - margin - size, height - margin - size],
+            custom: [options.x * MM, options.y * MM],
+        };
+        const [left, top] = corners[options.position] || corners.custom;
+
+        return {
+            left,
+            top,
+            size,
+            fits:
+                left >= 0 &&
+                top >= 0 &&
+                left + size <= width + 0.01 &&
+                top + size <= height + 0.01,
+        };
+    }
+
+    // Draw the payload's QR code on the chosen pages and return the new PDF
+    // bytes. Existing page content is kept; the code goes on top.
+    async function stamp(bytes, payload, options = {}) {
+        const PDFLib = requireLibrary('PDFLib', 'pdfLibrary');
+        const QREncoder = loadModule('QREncoder', './qr-encoder');
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+
+        let pdf;
+        try {
+            pdf = await PDFLib.PDFDocument.load(bytes);
+        } catch (error) {
+            throw new Error(translate('invalidPdf'));
+        }
+
+        const qr = QREncoder.encode(payload);
+        const path = QREncoder.toPath(qr, QUIET_ZONE);
+        const modules = qr.size + QUIET_ZONE * 2;
+
+        resolvePages(pdf.getPageCount(), settings.page).forEach((index) => {
+            const page = pdf.getPage(index);
+            const frame = pageFrame(page);
+            const box = placement(frame.width, frame.height, settings);
+            if (!box.fits) {
+                throw new Error(translate('doesNotFit', { page: index + 1 }));
+            }
+
+            // Rectangles grow up from their bottom-left corner and SVG paths
+            // down from their top-left corner. Turning both by the page
+            // rotation makes them upright on screen.
+            const rotate = PDFLib.degrees(frame.rotation);
+            page.drawRectangle({
+                ...frame.toUserSpace(box.left, box.top + box.size),
+                width: box.size,
+                height: box.size,
+                rotate,
+                color: PDFLib.rgb(1, 1, 1),
+            });
+            page.drawSvgPath(path, {
+                ...frame.toUserSpace(box.left, box.top),
+                scale: box.size / modules,
+                rotate,
+                color: PDFLib.rgb(0, 0, 0),
+            });
+        });
+
+        return pdf.save();
+    }
+
+    // All text of a PDF, one line per text line
+    async function extractText(bytes) {
+        const pdfjsLib = requireLibrary('pdfjsLib', 'textLibrary');
+
+        let pdf;
+        try {
+            // PDF.js takes ownership of the buffer it is given
+            pdf = await pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+        } catch (error) {
+            throw new Error(translate('invalidPdf'));
+        }
+
+        const pages = [];
+        for (let number = 1; number <= pdf.numPages; number++) {
+            const page = await pdf.getPage(number);
+            const content = await page.getTextContent();
+            pages.push(
+                content.items
+                    .map((item) => item.str + (item.hasEOL ? '\n' : ''))
+                    .join('')
+            );
+        }
+        return pages.join('\n');
+    }
+
+    // First IPS payload printed in the text that validates, or null. N and
+    // P may hold several lines, so lines after the one holding K: are joined
+    // with CR LF until the payload checks out or the next payload starts.
+    function findPayload(text) {
+        const IPSQRParser = loadModule('IPSQRParser', './qr-parser');
+        const source = String(text || '');
+
+        for (const match of source.matchAll(PAYLOAD_START)) {
+            const lines = source.substring(match.index).split(/\r?\n/);
+            let payload = lines[0].trim();
+
+            for (let index = 1; ; index++) {
+                if (IPSQRParser.check(payload).issues.length === 0) {
+                    return payload;
+                }
+
+                const line = lines[index];
+                if (
+                    index === MAX_PAYLOAD_LINES ||
+                    line === undefined ||
+                    NEXT_PAYLOAD.test(line)
+                ) {
+                    break;
+                }
+                payload = `${payload}\r\n${line.trim()}`;
+            }
+        }
+
+        return null;
+    }
+
+    // Name for a stamped copy: invoice.pdf -> invoice-qr.pdf
+    function stampedFileName(name) {
+        return `${String(name || 'invoice').replace(/\.pdf$/i, '')}-qr.pdf`;
+    }
+
+    const PDFStamp = {
+        MM,
+        POSITIONS,
+        DEFAULT_OPTIONS,
+        resolvePages,
+        pageFrame,
+        placement,
+        stamp,
+        extractText,
+        findPayload,
+        stampedFileName,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.PDFStamp = PDFStamp;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PDFStamp;
+    }
+})();
@@ -0,0 +1,587 @@
+// In-browser QR code encoder for NBS IPS payloads
+// Encodes text in byte mode (UTF-8) so QR images can be drawn without the
+// NBS /gen endpoint. Follows ISO/IEC 18004 for versions 1-40.
+
+(function () {
+    'use strict';
+
+    // Error correction level used for IPS QR codes
+    const DEFAULT_ECC = 'M';
+
+    // Format bits for each error correction level
+    const ECC_FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+    // Error correction codewords per block, indexed by version (0 unused)
+    const ECC_CODEWORDS_PER_BLOCK = {
+        L: [
+            -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24,
+            28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30,
+            30, 30, 30, 30, 30, 30, 30,
+        ],
+        M: [
+            -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28,
+            28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+            28, 28, 28, 28, 28, 28, 28,
+        ],
+        Q: [
+            -1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24,
+            28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30,
+            30, 30, 30, 30, 30, 30, 30,
+        ],
+        H: [
+            -1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30,
+            28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+            30, 30, 30, 30, 30, 30, 30,
+        ],
+    };
+
+    // Number of error correction blocks, indexed by version (0 unused)
+    const ECC_BLOCKS = {
+        L: [
+            -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8,
+            9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22,
+            24, 25,
+        ],
+        M: [
+            -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14,
+            16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40,
+            43, 45, 47, 49,
+        ],
+        Q: [
+            -1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21,
+            20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56,
+            59, 62, 65, 68,
+        ],
+        H: [
+            -1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21,
+            25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63,
+            66, 70, 74, 77, 81,
+        ],
+    };
+
+    // Data mask conditions; a module is inverted when the condition holds
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+        (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+        (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+    ];
+
+    // Finder-like pattern searched for by penalty rule 3
+    const FINDER_PATTERNS = ['10111010000', '00001011101'];
+
+    function getBit(value, index) {
+        return ((value >>> index) & 1) !== 0;
+    }
+
+    // Number of modules available for data and ECC in a version
+    function getRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignCount - 10) * alignCount - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    function getDataCodewords(version, ecc) {
+        return (
+            Math.floor(getRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[ecc][version] * ECC_BLOCKS[ecc][version]
+        );
+    }
+
+    function getAlignmentPositions(version) {
+        if (version === 1) {
+            return [];
+        }
+        const size = version * 4 + 17;
+        const count = Math.floor(version / 7) + 2;
+        const step =
+            Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < count; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    // GF(256) multiplication with the QR polynomial 0x11D
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach((byte) => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= gfMultiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    function toUtf8Bytes(text) {
+        return Array.from(new TextEncoder().encode(text));
+    }
+
+    // Pick the smallest version that fits and build the data codewords
+    function buildDataCodewords(bytes, ecc) {
+        for (let version = 1; version <= 40; version++) {
+            const countBits = version <= 9 ? 8 : 16;
+            const capacityBits = getDataCodewords(version, ecc) * 8;
+            const usedBits = 4 + countBits + bytes.length * 8;
+            if (usedBits > capacityBits) {
+                continue;
+            }
+
+            const bits = [];
+            const append = (value, length) => {
+                for (let i = length - 1; i >= 0; i--) {
+                    bits.push(getBit(value, i) ? 1 : 0);
+                }
+            };
+
+            append(0x4, 4);
+            append(bytes.length, countBits);
+            bytes.forEach((byte) => append(byte, 8));
+            append(0, Math.min(4, capacityBits - bits.length));
+            append(0, (8 - (bits.length % 8)) % 8);
+
+            const codewords = [];
+            for (let i = 0; i < bits.length; i += 8) {
+                codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+            }
+            // Fill remaining capacity with alternating pad bytes
+            for (let i = 0; codewords.length < capacityBits / 8; i++) {
+                codewords.push(i % 2 === 0 ? 0xec : 0x11);
+            }
+
+            return { version, codewords };
+        }
+
+        throw new Error('Text is too long to fit in a QR code');
+    }
+
+    // Split data into blocks, append ECC and interleave
+    function addErrorCorrection(data, version, ecc) {
+        const blockCount = ECC_BLOCKS[ecc][version];
+        const eccLength = ECC_CODEWORDS_PER_BLOCK[ecc][version];
+        const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+        const shortBlocks = blockCount - (rawCodewords % blockCount);
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < blockCount; i++) {
+            const length =
+                shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+            const block = data.slice(k, k + length);
+            k += length;
+            const eccBytes = reedSolomonRemainder(block, divisor);
+            if (i < shortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(eccBytes));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte added to short blocks
+                if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    function createMatrix(version) {
+        const size = version * 4 + 17;
+        const modules = [];
+        const reserved = [];
+        for (let y = 0; y < size; y++) {
+            modules.push(new Array(size).fill(false));
+            reserved.push(new Array(size).fill(false));
+        }
+
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        return { version, size, modules, reserved, set };
+    }
+
+    function drawFunctionPatterns(matrix) {
+        const { size, set } = matrix;
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        [
+            [3, 3],
+            [size - 4, 3],
+            [3, size - 4],
+        ].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        set(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = getAlignmentPositions(matrix.version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                // Alignment patterns never overlap the finder patterns
+                if (
+                    (i === 0 && j === 0) ||
+                    (i === 0 && j === last) ||
+                    (i === last && j === 0)
+                ) {
+                    return;
+                }
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(
+                            cx + dx,
+                            cy + dy,
+                            Math.max(Math.abs(dx), Math.abs(dy)) !== 1
+                        );
+                    }
+                }
+            });
+        });
+
+        drawFormatBits(matrix, 'M', 0);
+        drawVersionBits(matrix);
+    }
+
+    function drawFormatBits(matrix, ecc, mask) {
+        const { size, set } = matrix;
+        const data = (ECC_FORMAT_BITS[ecc] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) {
+            set(8, i, getBit(bits, i));
+        }
+        set(8, 7, getBit(bits, 6));
+        set(8, 8, getBit(bits, 7));
+        set(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) {
+            set(14 - i, 8, getBit(bits, i));
+        }
+
+        for (let i = 0; i < 8; i++) {
+            set(size - 1 - i, 8, getBit(bits, i));
+        }
+        for (let i = 8; i < 15; i++) {
+            set(8, size - 15 + i, getBit(bits, i));
+        }
+        set(8, size - 8, true);
+    }
+
+    function drawVersionBits(matrix) {
+        const { version, size, set } = matrix;
+        if (version < 7) {
+            return;
+        }
+
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = getBit(bits, i);
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    // Place codewords in the zigzag order, skipping function modules
+    function drawCodewords(matrix, codewords) {
+        const { size, modules, reserved } = matrix;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5;
+            }
+            const upward = ((right + 1) & 2) === 0;
+            for (let vert = 0; vert < size; vert++) {
+                const y = upward ? size - 1 - vert : vert;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (!reserved[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    function applyMask(matrix, mask) {
+        const { size, modules, reserved } = matrix;
+        const condition = MASKS[mask];
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && condition(x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    }
+
+    // Penalty score used to choose the mask (lower is better)
+    function getPenalty(modules) {
+        const size = modules.length;
+        let penalty = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i].map((m) => (m ? '1' : '0')).join(''));
+            lines.push(modules.map((row) => (row[i] ? '1' : '0')).join(''));
+        }
+
+        lines.forEach((line) => {
+            (line.match(/0{5,}|1{5,}/g) || []).forEach((run) => {
+                penalty += run.length - 2;
+            });
+            FINDER_PATTERNS.forEach((pattern) => {
+                for (
+                    let at = line.indexOf(pattern);
+                    at !== -1;
+                    at = line.indexOf(pattern, at + 1)
+                ) {
+                    penalty += 40;
+                }
+            });
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) {
+                    dark++;
+                }
+                if (
+                    x < size - 1 &&
+                    y < size - 1 &&
+                    modules[y][x] === modules[y][x + 1] &&
+                    modules[y][x] === modules[y + 1][x] &&
+                    modules[y][x] === modules[y + 1][x + 1]
+                ) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty +=
+            (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+        return penalty;
+    }
+
+    // Encode text into a QR module matrix (true = dark module)
+    function encode(text, options = {}) {
+        const ecc = options.ecc || DEFAULT_ECC;
+        if (!ECC_BLOCKS[ecc]) {
+            throw new Error(`Unknown error correction level: ${ecc}`);
+        }
+
+        const { version, codewords } = buildDataCodewords(
+            toUtf8Bytes(text),
+            ecc
+        );
+        const allCodewords = addErrorCorrection(codewords, version, ecc);
+
+        const matrix = createMatrix(version);
+        drawFunctionPatterns(matrix);
+        drawCodewords(matrix, allCodewords);
+
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            applyMask(matrix, mask);
+            drawFormatBits(matrix, ecc, mask);
+            const penalty = getPenalty(matrix.modules);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            applyMask(matrix, mask);
+        }
+
+        applyMask(matrix, bestMask);
+        drawFormatBits(matrix, ecc, bestMask);
+
+        return {
+            version,
+            ecc,
+            mask: bestMask,
+            size: matrix.size,
+            modules: matrix.modules,
+        };
+    }
+
+    // Codewords of an encoded QR code and how many of them error correction
+    // can restore: half the error correction codewords of each block
+    function getErrorCorrectionBudget(qr) {
+        return {
+            codewords: Math.floor(getRawDataModules(qr.version) / 8),
+            correctable:
+                ECC_BLOCKS[qr.ecc][qr.version] *
+                Math.floor(ECC_CODEWORDS_PER_BLOCK[qr.ecc][qr.version] / 2),
+        };
+    }
+
+    // Most bytes a version can hold in byte mode, after the 4-bit mode
+    // indicator and the character count (8 bits up to version 9, then 16)
+    function getByteCapacity(version = 40, ecc = DEFAULT_ECC) {
+        const countBits = version <= 9 ? 8 : 16;
+        return Math.floor(
+            (getDataCodewords(version, ecc) * 8 - 4 - countBits) / 8
+        );
+    }
+
+    // Draw an encoded QR code onto a canvas of the given pixel size
+    function toCanvas(qr, options = {}) {
+        const margin = options.margin !== undefined ? options.margin : 4;
+        const total = qr.size + margin * 2;
+        const scale = Math.max(1, Math.floor((options.size || 150) / total));
+        const size = Math.max(options.size || 150, total * scale);
+
+        const canvas = options.canvas || document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = options.background || '#ffffff';
+        context.fillRect(0, 0, size, size);
+
+        // Center the code when the size is not an exact multiple of modules
+        const offset = Math.floor((size - total * scale) / 2) + margin * scale;
+        context.fillStyle = options.foreground || '#000000';
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) {
+                    context.fillRect(
+                        offset + x * scale,
+                        offset + y * scale,
+                        scale,
+                        scale
+                    );
+                }
+            });
+        });
+
+        return canvas;
+    }
+
+    // Encode text and return a PNG data URL
+    function toDataURL(text, options = {}) {
+        return toCanvas(encode(text, options), options).toDataURL('image/png');
+    }
+
+    // SVG path data of the dark modules, one unit per module, offset by the
+    // quiet zone
+    function toPath(qr, margin = 4) {
+        let path = '';
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) {
+                    path += `M${x + margin} ${y + margin}h1v1h-1z`;
+                }
+            });
+        });
+        return path;
+    }
+
+    // SVG markup of an encoded QR code, one unit per module, so it scales to
+    // any print size without blurring
+    function toSVG(qr, options = {}) {
+        const margin = options.margin !== undefined ? options.margin : 4;
+        const total = qr.size + margin * 2;
+        const size = options.size
+            ? ` width="${options.size}" height="${options.size}"`
+            : '';
+        const path = toPath(qr, margin);
+
+        return (
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}"${size} shape-rendering="crispEdges">` +
+            `<rect width="${total}" height="${total}" fill="${options.background || '#ffffff'}"/>` +
+            `<path d="${path}" fill="${options.foreground || '#000000'}"/>` +
+            '</svg>'
+        );
+    }
+
+    const QREncoder = {
+        DEFAULT_ECC,
+        encode,
+        getErrorCorrectionBudget,
+        getByteCapacity,
+        toCanvas,
+        toDataURL,
+        toPath,
+        toSVG,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.QREncoder = QREncoder;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = QREncoder;
+    }
+})();
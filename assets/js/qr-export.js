@@ -0,0 +1,503 @@
+// QR code export for print: SVG, PDF and PNG at any size or resolution
+// A payload is laid out once in module units (quiet zone, optional caption
+// frame and "IPS" badge) and then drawn by each format. PDF output needs
+// pdf-lib (window.PDFLib); the generator loads it from the CDN.
+
+(function () {
+    'use strict';
+
+    const { loadModule, translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    // PDF points per millimetre and CSS pixels per millimetre
+    const MM = 72 / 25.4;
+    const PX_PER_MM = 96 / 25.4;
+
+    const DEFAULT_OPTIONS = {
+        margin: 4,
+        foreground: '#000000',
+        background: '#ffffff',
+        frame: false,
+        caption: 'IPS skeniraj',
+        logo: false,
+    };
+
+    // ISO/IEC 18004 asks for a quiet zone of four modules
+    const RECOMMENDED_MARGIN = 4;
+    const MAX_MARGIN = 10;
+
+    // Lowest foreground/background contrast ratio accepted (WCAG formula)
+    const MIN_CONTRAST = 4.5;
+
+    // Modules of frame border around the quiet zone
+    const FRAME_WIDTH = 1;
+
+    // The badge may use half of what error correction can restore, leaving
+    // the rest for print and scan damage, and at most 30% of the code's side
+    const LOGO_BUDGET_SHARE = 0.5;
+    const LOGO_MAX_SIDE = 0.3;
+    const LOGO_MIN_SIDE = 5;
+
+    // Largest PNG side browsers reliably draw
+    const MAX_PIXELS = 10000;
+
+    // English fallbacks for messages under generator.export.errors.* in
+    // assets/i18n
+    const MESSAGES = {
+        invalidColor: 'Colour {{color}} is not a #rrggbb value',
+        inverted:
+            'The code must be darker than its background; many banking apps cannot read light codes on dark',
+        lowContrast:
+            'Contrast {{ratio}}:1 is below {{min}}:1; the code may not scan',
+        quietZone:
+            'A quiet zone under {{min}} modules may not scan next to other print',
+        logoTooSmall: 'The code is too small for the IPS badge; it is left out',
+        tooLarge: 'The image would be {{pixels}} px wide; the limit is {{max}}',
+        pdfLibrary: 'The PDF writer (pdf-lib) is not loaded',
+    };
+
+    const translate = translator('generator.export.errors', MESSAGES);
+
+    function issue(code, level, params = {}) {
+        return { code, level, params, message: translate(code, params) };
+    }
+
+    function escapeXml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function settingsOf(options) {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        const margin = parseInt(settings.margin, 10);
+        settings.margin = Math.min(
+            MAX_MARGIN,
+            Math.max(0, Number.isNaN(margin) ? RECOMMENDED_MARGIN : margin)
+        );
+        return settings;
+    }
+
+    // [r, g, b] of a #rgb or #rrggbb colour, null when it is not one
+    function parseColor(color) {
+        const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(
+            String(color || '').trim()
+        );
+        if (!match) {
+            return null;
+        }
+
+        const hex =
+            match[1].length === 3
+                ? match[1].replace(/./g, (digit) => digit + digit)
+                : match[1];
+        return [0, 2, 4].map((index) =>
+            parseInt(hex.substring(index, index + 2), 16)
+        );
+    }
+
+    function relativeLuminance(rgb) {
+        const [r, g, b] = rgb.map((channel) => {
+            const value = channel / 255;
+            return value <= 0.03928
+                ? value / 12.92
+                : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    // WCAG contrast ratio of two colours, from 1 to 21
+    function contrastRatio(foreground, background) {
+        const a = relativeLuminance(parseColor(foreground));
+        const b = relativeLuminance(parseColor(background));
+        return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+    }
+
+    // Issues with colours and quiet zone. Errors (level 'error') make the
+    // code hard to scan and stop the export; warnings do not.
+    function checkStyle(options = {}) {
+        const settings = settingsOf(options);
+        const issues = [];
+
+        ['foreground', 'background'].forEach((key) => {
+            if (!parseColor(settings[key])) {
+                issues.push(
+                    issue('invalidColor', 'error', { color: settings[key] })
+                );
+            }
+        });
+        if (issues.length === 0) {
+            const ratio = contrastRatio(
+                settings.foreground,
+                settings.background
+            );
+            if (
+                relativeLuminance(parseColor(settings.foreground)) >
+                relativeLuminance(parseColor(settings.background))
+            ) {
+                issues.push(issue('inverted', 'error'));
+            } else if (ratio < MIN_CONTRAST) {
+                issues.push(
+                    issue('lowContrast', 'error', {
+                        ratio: (Math.floor(ratio * 10) / 10).toFixed(1),
+                        min: MIN_CONTRAST,
+                    })
+                );
+            }
+        }
+
+        if (settings.margin < RECOMMENDED_MARGIN) {
+            issues.push(
+                issue('quietZone', 'warning', { min: RECOMMENDED_MARGIN })
+            );
+        }
+        return issues;
+    }
+
+    // Side in modules of the centre badge a code can afford, 0 when it cannot
+    // afford a legible one. The side keeps the parity of the code's size so
+    // the badge covers whole modules.
+    function logoSize(qr) {
+        const QREncoder = loadModule('QREncoder', './qr-encoder');
+        const { correctable } = QREncoder.getErrorCorrectionBudget(qr);
+
+        // One codeword is 8 modules
+        let side = Math.min(
+            Math.floor(Math.sqrt(correctable * 8 * LOGO_BUDGET_SHARE)),
+            Math.floor(qr.size * LOGO_MAX_SIDE)
+        );
+        if ((qr.size - side) % 2 !== 0) {
+            side--;
+        }
+        return side >= LOGO_MIN_SIDE ? side : 0;
+    }
+
+    // Geometry of the exported image in modules. The badge asks for the
+    // highest error correction level, so the payload gets its full budget.
+    function layout(payload, options = {}) {
+        const QREncoder = loadModule('QREncoder', './qr-encoder');
+        const settings = settingsOf(options);
+        const qr = QREncoder.encode(payload, {
+            ecc: settings.logo ? 'H' : QREncoder.DEFAULT_ECC,
+        });
+
+        const codeSize = qr.size + settings.margin * 2;
+        const border = settings.frame ? FRAME_WIDTH : 0;
+        const captionHeight = settings.frame
+            ? Math.max(4, Math.round(codeSize * 0.15))
+            : 0;
+        const width = codeSize + border * 2;
+        const logo = settings.logo ? logoSize(qr) : 0;
+
+        return {
+            qr,
+            settings,
+            width,
+            height: width + captionHeight,
+            code: { x: border, y: border, size: codeSize },
+            caption: settings.frame
+                ? {
+                      text: String(settings.caption || '').trim(),
+                      x: width / 2,
+                      y: width + captionHeight / 2,
+                      size: captionHeight * 0.6,
+                  }
+                : null,
+            logo: logo
+                ? {
+                      x: border + settings.margin + (qr.size - logo) / 2,
+                      y: border + settings.margin + (qr.size - logo) / 2,
+                      size: logo,
+                  }
+                : null,
+            issues: [
+                ...checkStyle(settings),
+                ...(settings.logo && !logo
+                    ? [issue('logoTooSmall', 'warning')]
+                    : []),
+            ],
+        };
+    }
+
+    // Rectangles and text to draw, in order; colours are 'foreground' or
+    // 'background'. The frame is a foreground border and caption band with
+    // the caption cut out in the background colour.
+    function shapes(box) {
+        const full = { x: 0, y: 0, width: box.width, height: box.height };
+        const list = box.caption
+            ? [
+                  { type: 'rect', color: 'foreground', ...full },
+                  {
+                      type: 'rect',
+                      color: 'background',
+                      x: box.code.x,
+                      y: box.code.y,
+                      width: box.code.size,
+                      height: box.code.size,
+                  },
+              ]
+            : [{ type: 'rect', color: 'background', ...full }];
+
+        list.push({ type: 'modules', color: 'foreground' });
+
+        if (box.caption && box.caption.text) {
+            list.push({ type: 'text', color: 'background', ...box.caption });
+        }
+        if (box.logo) {
+            list.push(
+                {
+                    type: 'rect',
+                    color: 'background',
+                    x: box.logo.x,
+                    y: box.logo.y,
+                    width: box.logo.size,
+                    height: box.logo.size,
+                },
+                {
+                    type: 'text',
+                    color: 'foreground',
+                    text: 'IPS',
+                    x: box.logo.x + box.logo.size / 2,
+                    y: box.logo.y + box.logo.size / 2,
+                    size: box.logo.size * 0.42,
+                }
+            );
+        }
+        return list;
+    }
+
+    function moduleOffset(box) {
+        return box.code.x + box.settings.margin;
+    }
+
+    // SVG document; width in millimetres when widthMm is given, otherwise it
+    // scales to its container
+    function toSVG(box, widthMm) {
+        const QREncoder = loadModule('QREncoder', './qr-encoder');
+        const { settings } = box;
+        const size = widthMm
+            ? ` width="${+widthMm.toFixed(2)}mm" height="${+((widthMm * box.height) / box.width).toFixed(2)}mm"`
+            : '';
+
+        const body = shapes(box).map((shape) => {
+            const fill = settings[shape.color];
+            if (shape.type === 'rect') {
+                return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="${fill}"/>`;
+            }
+            if (shape.type === 'modules') {
+                return `<path d="${QREncoder.toPath(box.qr, moduleOffset(box))}" fill="${fill}" shape-rendering="crispEdges"/>`;
+            }
+            return `<text x="${shape.x}" y="${shape.y}" font-family="Arial, Helvetica, sans-serif" font-weight="bold" font-size="${+shape.size.toFixed(2)}" text-anchor="middle" dominant-baseline="central" fill="${fill}">${escapeXml(shape.text)}</text>`;
+        });
+
+        return (
+            `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${box.width} ${box.height}"${size}>` +
+            body.join('') +
+            '</svg>'
+        );
+    }
+
+    // Pixels for a physical size at a resolution
+    function pixelsFor(widthMm, dpi) {
+        return Math.round((widthMm / 25.4) * dpi);
+    }
+
+    // Canvas of the given pixel width. Module edges are rounded to whole
+    // pixels so neighbouring modules leave no hairline gaps.
+    function toCanvas(box, pixels, canvas) {
+        if (pixels > MAX_PIXELS) {
+            throw new Error(translate('tooLarge', { pixels, max: MAX_PIXELS }));
+        }
+
+        const { settings } = box;
+        const scale = pixels / box.width;
+        const target = canvas || document.createElement('canvas');
+        target.width = pixels;
+        target.height = Math.round(box.height * scale);
+
+        const context = target.getContext('2d');
+        const fillRect = (x, y, width, height) => {
+            const left = Math.round(x * scale);
+            const top = Math.round(y * scale);
+            context.fillRect(
+                left,
+                top,
+                Math.round((x + width) * scale) - left,
+                Math.round((y + height) * scale) - top
+            );
+        };
+
+        shapes(box).forEach((shape) => {
+            context.fillStyle = settings[shape.color];
+            if (shape.type === 'rect') {
+                fillRect(shape.x, shape.y, shape.width, shape.height);
+            } else if (shape.type === 'modules') {
+                const offset = moduleOffset(box);
+                box.qr.modules.forEach((row, y) => {
+                    row.forEach((dark, x) => {
+                        if (dark) {
+                            fillRect(x + offset, y + offset, 1, 1);
+                        }
+                    });
+                });
+            } else {
+                context.font = `bold ${shape.size * scale}px Arial, Helvetica, sans-serif`;
+                context.textAlign = 'center';
+                context.textBaseline = 'middle';
+                context.fillText(shape.text, shape.x * scale, shape.y * scale);
+            }
+        });
+
+        return target;
+    }
+
+    const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+        let crc = index;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+        }
+        return crc >>> 0;
+    });
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        bytes.forEach((byte) => {
+            crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        });
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // PNG bytes with a pHYs chunk after the header, so print software sizes
+    // the image by its resolution
+    function setPngDpi(png, dpi) {
+        const perMetre = Math.round(dpi / 0.0254);
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        view.setUint32(8, perMetre);
+        view.setUint32(12, perMetre);
+        chunk[16] = 1; // unit: metre
+        view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+        // Signature (8 bytes) and IHDR chunk (25 bytes) come first
+        const headerEnd = 33;
+        const result = new Uint8Array(png.length + chunk.length);
+        result.set(png.subarray(0, headerEnd));
+        result.set(chunk, headerEnd);
+        result.set(png.subarray(headerEnd), headerEnd + chunk.length);
+        return result;
+    }
+
+    async function toPNG(box, pixels, dpi) {
+        const canvas = toCanvas(box, pixels);
+        const blob = await new Promise((resolve) =>
+            canvas.toBlob(resolve, 'image/png')
+        );
+        const png = new Uint8Array(await blob.arrayBuffer());
+        return dpi ? setPngDpi(png, dpi) : png;
+    }
+
+    // Text the standard PDF fonts can encode: Latin script, letters without
+    // a WinAnsi form stripped of their accents
+    function pdfText(font, text) {
+        const Transliteration = loadModule(
+            'Transliteration',
+            './transliteration'
+        );
+        const latin = Transliteration.toLatin(text);
+        try {
+            font.encodeText(latin);
+            return latin;
+        } catch (error) {
+            return latin
+                .replace(/đ/g, 'dj')
+                .replace(/Đ/g, 'Dj')
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '');
+        }
+    }
+
+    // One-page PDF the size of the image, widthMm wide, drawn as vectors
+    async function toPDF(box, widthMm) {
+        const PDFLib = typeof window !== 'undefined' ? window.PDFLib : null;
+        if (!PDFLib) {
+            throw new Error(translate('pdfLibrary'));
+        }
+        const QREncoder = loadModule('QREncoder', './qr-encoder');
+
+        const { settings } = box;
+        const scale = (widthMm * MM) / box.width;
+        const height = box.height * scale;
+        const pdf = await PDFLib.PDFDocument.create();
+        const page = pdf.addPage([box.width * scale, height]);
+        const font = await pdf.embedFont(PDFLib.StandardFonts.HelveticaBold);
+        const color = (name) =>
+            PDFLib.rgb(...parseColor(settings[name]).map((c) => c / 255));
+
+        // PDF y runs upwards from the bottom of the page
+        shapes(box).forEach((shape) => {
+            if (shape.type === 'rect') {
+                page.drawRectangle({
+                    x: shape.x * scale,
+                    y: height - (shape.y + shape.height) * scale,
+                    width: shape.width * scale,
+                    height: shape.height * scale,
+                    color: color(shape.color),
+                });
+            } else if (shape.type === 'modules') {
+                page.drawSvgPath(QREncoder.toPath(box.qr, moduleOffset(box)), {
+                    x: 0,
+                    y: height,
+                    scale,
+                    color: color(shape.color),
+                });
+            } else {
+                const text = pdfText(font, shape.text);
+                const size = shape.size * scale;
+                page.drawText(text, {
+                    x: shape.x * scale - font.widthOfTextAtSize(text, size) / 2,
+                    y: height - shape.y * scale - size * 0.35,
+                    size,
+                    font,
+                    color: color(shape.color),
+                });
+            }
+        });
+
+        return pdf.save();
+    }
+
+    const QRExport = {
+        MM,
+        PX_PER_MM,
+        DEFAULT_OPTIONS,
+        RECOMMENDED_MARGIN,
+        MIN_CONTRAST,
+        MAX_PIXELS,
+        parseColor,
+        contrastRatio,
+        checkStyle,
+        logoSize,
+        layout,
+        toSVG,
+        pixelsFor,
+        toCanvas,
+        setPngDpi,
+        toPNG,
+        toPDF,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.QRExport = QRExport;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = QRExport;
+    }
+})();
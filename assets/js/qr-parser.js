@@ -0,0 +1,338 @@
+// Offline parser and validator for NBS IPS QR payloads
+// Performs the same structural checks as the NBS /validate endpoint so the
+// validator keeps working when the API is unreachable or blocked by CORS.
+
+(function () {
+    'use strict';
+
+    const { loadModule, translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    // Tags in the order required by the IPS QR specification
+    const TAG_ORDER = [
+        'K',
+        'V',
+        'C',
+        'R',
+        'N',
+        'I',
+        'P',
+        'SF',
+        'S',
+        'M',
+        'JS',
+        'RO',
+        'RL',
+        'RP',
+    ];
+
+    // Mandatory and permitted tags per payment type (K)
+    const PAYMENT_TYPE_TAGS = {
+        PR: {
+            required: ['K', 'V', 'C', 'R', 'N', 'I', 'SF'],
+            optional: ['P', 'S', 'RO'],
+        },
+        PT: {
+            required: ['K', 'V', 'C', 'R', 'N', 'I', 'SF', 'M'],
+            optional: ['S', 'JS', 'RO', 'RL', 'RP'],
+        },
+        PK: {
+            required: ['K', 'V', 'C', 'R', 'N', 'I', 'SF', 'M', 'JS'],
+            optional: ['S', 'RO', 'RL', 'RP'],
+        },
+        EK: {
+            required: ['K', 'V', 'C', 'R', 'N', 'I', 'SF', 'M'],
+            optional: ['S', 'JS', 'RO', 'RL', 'RP'],
+        },
+    };
+
+    const FieldLimits = loadModule('FieldLimits', './field-limits.js');
+
+    // Format rules per tag. Free-text tags are limited by characters (line
+    // breaks excluded) and by number of lines, see FieldLimits.
+    const TAG_RULES = {
+        K: { pattern: /^(PR|PT|PK|EK)$/ },
+        V: { pattern: /^01$/ },
+        C: { pattern: /^[12]$/ },
+        R: { pattern: /^\d{18}$/ },
+        N: { text: true, ...FieldLimits.TEXT_LIMITS.N },
+        I: { pattern: /^RSD\d{1,15}(,\d{1,2})?$/, maxLength: 18 },
+        P: { text: true, ...FieldLimits.TEXT_LIMITS.P },
+        SF: { pattern: /^[12]\d{2}$/ },
+        S: { text: true, ...FieldLimits.TEXT_LIMITS.S },
+        M: { pattern: /^\d{4}$/ },
+        JS: { pattern: /^\d{5}$/ },
+        RO: { pattern: /^\d{2}[0-9A-Za-z-]+$/, maxLength: 25 },
+        RL: { text: true, ...FieldLimits.TEXT_LIMITS.RL },
+        RP: { pattern: /^[0-9A-Za-z]+$/, maxLength: 19 },
+    };
+
+    // Characters permitted in free-text tags (Latin, Cyrillic, digits, punctuation)
+    const TEXT_PATTERN = /^[\p{L}\p{N} .,:;\-/()'"!?&+%#*@_=]*$/u;
+
+    // English fallbacks for messages under validator.local.* in assets/i18n
+    const MESSAGES = {
+        valid: 'QR code is valid (checked locally)',
+        invalid: 'QR code is not valid (checked locally)',
+        empty: 'QR code text is empty',
+        trailingPipe: 'Text must not end with a pipe character (|)',
+        malformedSegment: 'Segment {{index}} is not in TAG:value form',
+        unknownTag: 'Unknown tag "{{tag}}"',
+        duplicateTag: 'Tag {{tag}} appears more than once',
+        tagOrder: 'Tag {{tag}} is out of order (expected order: {{order}})',
+        emptyValue: 'Tag {{tag}} has an empty value',
+        missingTag: 'Required tag {{tag}} is missing for payment type {{type}}',
+        tagNotAllowed: 'Tag {{tag}} is not allowed for payment type {{type}}',
+        invalidFormat: 'Tag {{tag}} has an invalid format: {{value}}',
+        tooLong: 'Tag {{tag}} exceeds {{max}} characters ({{length}})',
+        tooManyLines: 'Tag {{tag}} has more than {{max}} lines',
+        invalidCharacters:
+            'Tag {{tag}} contains characters that are not allowed',
+        zeroAmount: 'Amount (I) must be greater than zero',
+        invalidControlDigits:
+            'Account {{value}} has wrong control digits, expected {{expected}} ({{suggestion}})',
+        invalidReference: 'Reference {{value}} is invalid: {{detail}}',
+        unknownPaymentCode: 'Payment code {{value}} does not exist',
+        payloadTooLarge:
+            'Payload is {{bytes}} bytes, more than the {{max}} byte limit',
+    };
+
+    const translate = translator('validator.local', MESSAGES);
+
+    function splitLines(value) {
+        return value.split(/\r\n|\r|\n/);
+    }
+
+    // Split a payload into tags, recording structural problems
+    function parse(text) {
+        const tags = {};
+        const order = [];
+        const issues = [];
+
+        if (typeof text !== 'string' || text.trim() === '') {
+            issues.push({ code: 'empty' });
+            return { tags, order, issues };
+        }
+
+        const payload = text.replace(/^\s+/, '').replace(/[\r\n]+$/, '');
+        if (payload.endsWith('|')) {
+            issues.push({ code: 'trailingPipe' });
+        }
+
+        let lastPosition = -1;
+        const segments = payload.split('|');
+        segments.forEach((segment, index) => {
+            // A trailing pipe is already reported above
+            if (segment === '' && index === segments.length - 1) {
+                return;
+            }
+
+            const separator = segment.indexOf(':');
+            if (separator === -1) {
+                issues.push({
+                    code: 'malformedSegment',
+                    params: { index: index + 1 },
+                });
+                return;
+            }
+
+            // Tolerate line breaks left between segments by "Format Text"
+            const tag = segment.substring(0, separator).trim();
+            const value = segment.substring(separator + 1);
+            const position = TAG_ORDER.indexOf(tag);
+
+            if (position === -1) {
+                issues.push({ code: 'unknownTag', tag, params: { tag } });
+                return;
+            }
+
+            if (tags[tag] !== undefined) {
+                issues.push({ code: 'duplicateTag', tag, params: { tag } });
+                return;
+            }
+
+            if (position < lastPosition) {
+                issues.push({
+                    code: 'tagOrder',
+                    tag,
+                    params: { tag, order: TAG_ORDER.join(', ') },
+                });
+            }
+            lastPosition = Math.max(lastPosition, position);
+
+            tags[tag] = value;
+            order.push(tag);
+        });
+
+        return { tags, order, issues };
+    }
+
+    // Check a single tag value against its format rule
+    function checkTag(tag, value) {
+        const rule = TAG_RULES[tag];
+        const issues = [];
+
+        if (value === '') {
+            return [{ code: 'emptyValue', tag, params: { tag } }];
+        }
+
+        if (rule.text) {
+            const lines = splitLines(value);
+
+            issues.push(...FieldLimits.checkText(tag, value));
+            if (!lines.every((line) => TEXT_PATTERN.test(line))) {
+                issues.push({
+                    code: 'invalidCharacters',
+                    tag,
+                    params: { tag },
+                });
+            }
+            return issues;
+        }
+
+        if (rule.maxLength && value.length > rule.maxLength) {
+            issues.push({
+                code: 'tooLong',
+                tag,
+                params: { tag, max: rule.maxLength, length: value.length },
+            });
+        }
+        if (!rule.pattern.test(value)) {
+            issues.push({ code: 'invalidFormat', tag, params: { tag, value } });
+        } else if (tag === 'I' && !/[1-9]/.test(value)) {
+            issues.push({ code: 'zeroAmount', tag });
+        } else if (tag === 'R') {
+            const account = loadModule(
+                'AccountNumber',
+                './account-number.js'
+            ).check(value);
+            if (!account.valid) {
+                issues.push({
+                    code: 'invalidControlDigits',
+                    tag,
+                    params: {
+                        value,
+                        expected: account.expected,
+                        suggestion: account.suggestion,
+                    },
+                });
+            }
+        } else if (
+            tag === 'SF' &&
+            !loadModule('PaymentCodes', './payment-codes.js').get(value)
+        ) {
+            issues.push({ code: 'unknownPaymentCode', tag, params: { value } });
+        } else if (tag === 'RO') {
+            const reference = loadModule(
+                'ReferenceNumber',
+                './reference-number.js'
+            ).check(value);
+            if (!reference.valid) {
+                issues.push({
+                    code: 'invalidReference',
+                    tag,
+                    params: { value, detail: reference.message },
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    // Parse and fully check a payload, returning structured issues
+    function check(text) {
+        const result = parse(text);
+        const { tags } = result;
+
+        Object.keys(tags).forEach((tag) => {
+            result.issues.push(...checkTag(tag, tags[tag]));
+        });
+
+        const typeTags = PAYMENT_TYPE_TAGS[tags.K];
+        if (typeTags) {
+            typeTags.required.forEach((tag) => {
+                if (tags[tag] === undefined) {
+                    result.issues.push({
+                        code: 'missingTag',
+                        tag,
+                        params: { tag, type: tags.K },
+                    });
+                }
+            });
+
+            const allowed = typeTags.required.concat(typeTags.optional);
+            result.order.forEach((tag) => {
+                if (!allowed.includes(tag)) {
+                    result.issues.push({
+                        code: 'tagNotAllowed',
+                        tag,
+                        params: { tag, type: tags.K },
+                    });
+                }
+            });
+        } else if (tags.K === undefined && result.order.length > 0) {
+            result.issues.push({
+                code: 'missingTag',
+                tag: 'K',
+                params: { tag: 'K', type: '-' },
+            });
+        }
+
+        // Cyrillic text takes two bytes per letter in UTF-8 (C:1)
+        if (result.order.length > 0) {
+            result.issues.push(
+                ...FieldLimits.checkPayload(
+                    text.replace(/^\s+/, '').replace(/[\r\n]+$/, ''),
+                    tags.C
+                )
+            );
+        }
+
+        result.issues.forEach((issue) => {
+            issue.message = translate(issue.code, issue.params);
+        });
+
+        return result;
+    }
+
+    // Validate a payload and return the {s, t, n, e} shape of the NBS API
+    function validate(text) {
+        const { tags, issues } = check(text);
+        const valid = issues.length === 0;
+
+        const response = {
+            s: {
+                code: valid ? 0 : 1,
+                desc: translate(valid ? 'valid' : 'invalid'),
+            },
+            t: typeof text === 'string' ? text : '',
+            n: tags,
+        };
+
+        if (!valid) {
+            response.e = issues.map((issue) => issue.message);
+        }
+
+        return response;
+    }
+
+    const IPSQRParser = {
+        TAG_ORDER,
+        TAG_RULES,
+        PAYMENT_TYPE_TAGS,
+        parse,
+        check,
+        validate,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.IPSQRParser = IPSQRParser;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = IPSQRParser;
+    }
+})();
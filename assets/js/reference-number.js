@@ -0,0 +1,167 @@
+// Payment reference (poziv na broj) checks for the RO tag
+// RO starts with a two-digit model followed by the reference. Model 97 uses
+// two ISO 7064 MOD 97-10 control digits right after the model; model 11
+// splits the reference into P1-P2-P3 parts, where P1 and P2 end with a
+// weighted MOD 11 control digit.
+
+(function () {
+    'use strict';
+
+    const { translator } =
+        typeof window !== 'undefined' && window.ModuleUtils
+            ? window.ModuleUtils
+            : module.require('./module-utils');
+
+    // RO holds at most 25 characters, model included
+    const MAX_LENGTH = 25;
+
+    // English fallbacks for messages under reference.* in assets/i18n
+    const MESSAGES = {
+        model97Valid: 'Model 97: control digits are correct',
+        model97Invalid:
+            'Model 97: control digits {{actual}} are wrong, expected {{expected}}. The two digits after "97" must make the reference divisible by 97.',
+        model97Format:
+            'Model 97: enter two control digits after "97", followed by the reference (digits, letters or dashes)',
+        model11Valid: 'Model 11: control digits are correct',
+        model11Invalid:
+            'Model 11: part {{part}} ({{value}}) should end with {{expected}} (weighted MOD 11 check)',
+        model11Format:
+            'Model 11: the reference must have one to three digit parts separated by dashes (P1-P2-P3)',
+        modelFormat: 'The reference must start with a two-digit model',
+    };
+
+    const translate = translator('reference', MESSAGES);
+
+    // Letters count as two-digit numbers (A=10 ... Z=35), dashes are ignored
+    function toDigits(reference) {
+        return reference
+            .replace(/-/g, '')
+            .toUpperCase()
+            .replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+    }
+
+    function mod97(digits) {
+        let remainder = 0;
+        for (const digit of digits) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+        return remainder;
+    }
+
+    // Control digits for a model 97 reference (without the control digits)
+    function computeModel97(reference) {
+        return String(98 - mod97(`${toDigits(reference)}00`)).padStart(2, '0');
+    }
+
+    // Control digit for a model 11 part (without its control digit)
+    function computeModel11(digits) {
+        let sum = 0;
+        digits
+            .split('')
+            .reverse()
+            .forEach((digit, index) => {
+                sum += Number(digit) * ((index % 6) + 2);
+            });
+        const remainder = sum % 11;
+        return remainder <= 1 ? '0' : String(11 - remainder);
+    }
+
+    function result(model, valid, code, params = {}) {
+        return {
+            model,
+            checked: true,
+            valid,
+            code,
+            params,
+            message: translate(code, params),
+        };
+    }
+
+    function checkModel97(reference) {
+        if (!/^\d{2}[0-9A-Za-z-]+$/.test(reference)) {
+            return result('97', false, 'model97Format');
+        }
+
+        const actual = reference.substring(0, 2);
+        const expected = computeModel97(reference.substring(2));
+        if (actual !== expected) {
+            return {
+                ...result('97', false, 'model97Invalid', { actual, expected }),
+                expected,
+                suggestion: `97${expected}${reference.substring(2)}`,
+            };
+        }
+
+        return result('97', true, 'model97Valid');
+    }
+
+    function checkModel11(reference) {
+        const parts = reference.split('-');
+        if (parts.length > 3 || !parts.every((part) => /^\d+$/.test(part))) {
+            return result('11', false, 'model11Format');
+        }
+
+        // Only P1 and P2 carry a control digit
+        for (let i = 0; i < Math.min(parts.length, 2); i++) {
+            const part = parts[i];
+            const expected = computeModel11(part.slice(0, -1));
+            if (part.length < 2 || part.slice(-1) !== expected) {
+                return result('11', false, 'model11Invalid', {
+                    part: `P${i + 1}`,
+                    value: part,
+                    expected,
+                });
+            }
+        }
+
+        return result('11', true, 'model11Valid');
+    }
+
+    // Check an RO value; models other than 97 and 11 are not verified
+    function check(ro) {
+        const value = String(ro || '').trim();
+        if (!/^\d{2}/.test(value)) {
+            return result(null, false, 'modelFormat');
+        }
+
+        const model = value.substring(0, 2);
+        const reference = value.substring(2);
+
+        if (model === '97') {
+            return checkModel97(reference);
+        }
+        if (model === '11') {
+            return checkModel11(reference);
+        }
+
+        return { model, checked: false, valid: true };
+    }
+
+    // Model 97 reference with control digits inserted after "97", keeping
+    // every character typed after it, or null when the result is too long
+    function applyModel97(ro) {
+        const value = String(ro || '').trim();
+        if (!/^97[0-9A-Za-z-]+$/.test(value)) {
+            return null;
+        }
+        const reference = value.substring(2);
+        const applied = `97${computeModel97(reference)}${reference}`;
+        return applied.length <= MAX_LENGTH ? applied : null;
+    }
+
+    const ReferenceNumber = {
+        computeModel97,
+        computeModel11,
+        check,
+        applyModel97,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.ReferenceNumber = ReferenceNumber;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ReferenceNumber;
+    }
+})();
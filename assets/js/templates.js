@@ -449,8 +449,19 @@ function loadTemplate(templateId) {
         // Clear existing form data
         form.reset();
 
-        // Load template data into form
-        Object.entries(template.data).forEach(([key, value]) => {
+        // Load template data into form, with P taken from a referenced
+        // payer profile
+        const data = window.PayerProfiles
+            ? window.PayerProfiles.resolveTemplateData(template.data)
+            : template.data;
+        if (data.payerProfile && !data.P) {
+            showNotification(
+                window.i18n?.t('generator.payerProfiles.missing') ||
+                    'The payer profile used by this template no longer exists',
+                'warning'
+            );
+        }
+        Object.entries(data).forEach(([key, value]) => {
             const input = form.querySelector(`[name="${key}"]`);
             if (input) {
                 if (input.type === 'checkbox') {
@@ -477,6 +488,11 @@ function loadTemplate(templateId) {
             }
         });
 
+        // Let the page refresh anything derived from the fields
+        form.dispatchEvent(
+            new CustomEvent('templateLoaded', { detail: { templateId } })
+        );
+
         // Increment usage count
         templateManager.incrementUsage(templateId);
 
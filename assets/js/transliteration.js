@@ -0,0 +1,226 @@
+// Serbian Cyrillic <-> Latin transliteration for payment text (N, P, S)
+// Lj, Nj and Dž map to the single letters Љ, Њ and Џ and back, keeping case:
+// "Љубљана" -> "Ljubljana", "ЉУБЉАНА" -> "LJUBLJANA". The "always send in
+// Latin" preference is saved in localStorage and applied to outgoing data.
+
+(function () {
+    'use strict';
+
+    const STORAGE_KEY = 'nbs_ips_send_latin';
+
+    // Tags whose text is transliterated
+    const TEXT_TAGS = ['N', 'P', 'S'];
+
+    const CYRILLIC_TO_LATIN = {
+        а: 'a',
+        б: 'b',
+        в: 'v',
+        г: 'g',
+        д: 'd',
+        ђ: 'đ',
+        е: 'e',
+        ж: 'ž',
+        з: 'z',
+        и: 'i',
+        ј: 'j',
+        к: 'k',
+        л: 'l',
+        љ: 'lj',
+        м: 'm',
+        н: 'n',
+        њ: 'nj',
+        о: 'o',
+        п: 'p',
+        р: 'r',
+        с: 's',
+        т: 't',
+        ћ: 'ć',
+        у: 'u',
+        ф: 'f',
+        х: 'h',
+        ц: 'c',
+        ч: 'č',
+        џ: 'dž',
+        ш: 'š',
+    };
+
+    const LATIN_TO_CYRILLIC = Object.fromEntries(
+        Object.entries(CYRILLIC_TO_LATIN).map(([cyrillic, latin]) => [
+            latin,
+            cyrillic,
+        ])
+    );
+
+    // Words where n+j, d+ž or l+j are two letters, not a digraph. The
+    // position of "|" marks the split.
+    const DIGRAPH_EXCEPTIONS = [
+        'nad|živ',
+        'nad|žnj',
+        'od|žal',
+        'pod|žanr',
+        'pod|župan',
+        'kon|jug',
+        'kon|junk',
+        'in|jek',
+        'in|junk',
+        'tan|jug',
+        'van|jezi',
+    ];
+
+    function isUpper(char) {
+        return char !== char.toLowerCase() && char === char.toUpperCase();
+    }
+
+    function isLetter(char) {
+        return Boolean(char) && /\p{L}/u.test(char);
+    }
+
+    function toLatin(text) {
+        const chars = Array.from(String(text ?? '').normalize('NFC'));
+
+        return chars
+            .map((char, index) => {
+                const lower = char.toLowerCase();
+                const latin = CYRILLIC_TO_LATIN[lower];
+                if (latin === undefined) {
+                    return char;
+                }
+                if (!isUpper(char)) {
+                    return latin;
+                }
+                if (latin.length === 1) {
+                    return latin.toUpperCase();
+                }
+
+                // A digraph is all caps inside an all-caps word: ЉУБА -> LJUBA,
+                // ПОЉ -> POLJ, but Љуба -> Ljuba and a lone Љ -> Lj
+                const next = chars[index + 1];
+                const previous = chars[index - 1];
+                const allCaps = isLetter(next)
+                    ? isUpper(next)
+                    : isLetter(previous) && isUpper(previous);
+                return allCaps
+                    ? latin.toUpperCase()
+                    : latin[0].toUpperCase() + latin.slice(1);
+            })
+            .join('');
+    }
+
+    // True when the letters at index and index + 1 of a lowercase word are
+    // split by a listed exception
+    function isSplitDigraph(word, index) {
+        return DIGRAPH_EXCEPTIONS.some(
+            (exception) =>
+                exception.indexOf('|') === index + 1 &&
+                word.startsWith(exception.replace('|', ''))
+        );
+    }
+
+    function wordToCyrillic(word) {
+        // Foreign words and names (Wayne, Xerox) stay in Latin
+        if (/[qwxy]/i.test(word)) {
+            return word;
+        }
+
+        const lower = word.toLowerCase();
+        let result = '';
+        for (let index = 0; index < word.length; index++) {
+            const pair = lower.substring(index, index + 2);
+            const digraph =
+                LATIN_TO_CYRILLIC[pair] && !isSplitDigraph(lower, index);
+            const cyrillic = digraph
+                ? LATIN_TO_CYRILLIC[pair]
+                : LATIN_TO_CYRILLIC[lower[index]];
+
+            if (cyrillic === undefined) {
+                result += word[index];
+            } else {
+                result += isUpper(word[index])
+                    ? cyrillic.toUpperCase()
+                    : cyrillic;
+            }
+            if (digraph) {
+                index++;
+            }
+        }
+        return result;
+    }
+
+    function toCyrillic(text) {
+        return String(text ?? '')
+            .normalize('NFC')
+            .replace(/\p{L}+/gu, wordToCyrillic);
+    }
+
+    // 'cyrillic', 'latin', 'mixed' or 'none' for text without letters
+    function detectScript(text) {
+        const value = String(text ?? '');
+        const cyrillic = /\p{Script=Cyrillic}/u.test(value);
+        const latin = /\p{Script=Latin}/u.test(value);
+        if (cyrillic && latin) {
+            return 'mixed';
+        }
+        if (cyrillic) {
+            return 'cyrillic';
+        }
+        return latin ? 'latin' : 'none';
+    }
+
+    function convert(text, script) {
+        return script === 'cyrillic' ? toCyrillic(text) : toLatin(text);
+    }
+
+    function isSendLatin() {
+        try {
+            return localStorage.getItem(STORAGE_KEY) === 'true';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // False when the storage refuses the preference
+    function setSendLatin(enabled) {
+        try {
+            localStorage.setItem(STORAGE_KEY, enabled ? 'true' : 'false');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Copy of form data with the text tags in Latin when the "always send in
+    // Latin" preference is on; the data itself otherwise
+    function forPayload(data) {
+        if (!isSendLatin()) {
+            return data;
+        }
+
+        const converted = { ...data };
+        TEXT_TAGS.forEach((tag) => {
+            if (typeof converted[tag] === 'string') {
+                converted[tag] = toLatin(converted[tag]);
+            }
+        });
+        return converted;
+    }
+
+    const Transliteration = {
+        TEXT_TAGS,
+        toLatin,
+        toCyrillic,
+        convert,
+        detectScript,
+        isSendLatin,
+        setSendLatin,
+        forPayload,
+    };
+
+    if (typeof window !== 'undefined') {
+        window.Transliteration = Transliteration;
+    }
+
+    // Export for use in modules
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Transliteration;
+    }
+})();
@@ -0,0 +1,118 @@
+// Minimal PNG writer and reader for the mock server
+// Draws a QR module matrix as an 8-bit grayscale PNG and stores the encoded
+// payload in an iTXt chunk, so /upload can read back images made by /gen.
+
+'use strict';
+
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PAYLOAD_KEYWORD = 'IPS-QR';
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// PNG of a QR code ({ size, modules }) with the same scaling as
+// QREncoder.toCanvas: whole-pixel modules, a quiet zone of `margin` modules
+function renderQR(qr, payload, options = {}) {
+    const margin = options.margin !== undefined ? options.margin : 4;
+    const total = qr.size + margin * 2;
+    const scale = Math.max(1, Math.floor((options.size || 150) / total));
+    const size = Math.max(options.size || 150, total * scale);
+    const offset = Math.floor((size - qr.size * scale) / 2);
+
+    // One filter byte (0 = none) before every row
+    const pixels = Buffer.alloc((size + 1) * size, 0xff);
+    for (let y = 0; y < size; y++) {
+        pixels[y * (size + 1)] = 0;
+    }
+    qr.modules.forEach((row, my) => {
+        row.forEach((dark, mx) => {
+            if (!dark) {
+                return;
+            }
+            for (let dy = 0; dy < scale; dy++) {
+                const start =
+                    (offset + my * scale + dy) * (size + 1) +
+                    1 +
+                    offset +
+                    mx * scale;
+                pixels.fill(0x00, start, start + scale);
+            }
+        });
+    });
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8; // bit depth
+    header[9] = 0; // grayscale
+
+    // iTXt: keyword, compression flag and method, language, translated keyword
+    const text = Buffer.concat([
+        Buffer.from(`${PAYLOAD_KEYWORD}\0\0\0\0\0`, 'latin1'),
+        Buffer.from(payload, 'utf8'),
+    ]);
+
+    return Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', header),
+        chunk('iTXt', text),
+        chunk('IDAT', zlib.deflateSync(pixels)),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+// Payload stored by renderQR, or null for any other image
+function readPayload(buffer) {
+    if (!buffer || !buffer.subarray(0, 8).equals(SIGNATURE)) {
+        return null;
+    }
+
+    let position = 8;
+    while (position + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(position);
+        const type = buffer.toString('latin1', position + 4, position + 8);
+        const data = buffer.subarray(position + 8, position + 8 + length);
+
+        if (type === 'iTXt') {
+            const keywordEnd = data.indexOf(0);
+            if (data.toString('latin1', 0, keywordEnd) === PAYLOAD_KEYWORD) {
+                // Skip the flags, then the language tag and translated keyword
+                const languageEnd = data.indexOf(0, keywordEnd + 3);
+                const translatedEnd = data.indexOf(0, languageEnd + 1);
+                return data.toString('utf8', translatedEnd + 1);
+            }
+        }
+        if (type === 'IEND') {
+            break;
+        }
+        position += length + 12;
+    }
+
+    return null;
+}
+
+module.exports = { renderQR, readPayload };
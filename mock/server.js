@@ -0,0 +1,428 @@
+// Local stand-in for the NBS IPS QR API
+// Serves /gen, /generate, /validate and /upload under the same path as
+// nbs.rs, answering with the offline parser and encoder from assets/js.
+// Recorded fixtures take precedence, and failure modes can be switched on
+// to exercise timeouts, server errors and broken JSON.
+//
+// Usage: node mock/server.js [--port=4010] [--failure=500] [--record=URL]
+// Select it in the app with the "mock" backend profile (?backend=mock).
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const IPSQRParser = require('../assets/js/qr-parser');
+const QREncoder = require('../assets/js/qr-encoder');
+const { renderQR, readPayload } = require('./png');
+
+const API_PATH = '/QRcode/api/qr/v1';
+const ROUTE = new RegExp(
+    `^${API_PATH}/(gen|generate|validate|upload)(?:/(\\d+))?/?$`
+);
+const CONTROL_PATH = '/__mock';
+
+const DEFAULTS = {
+    host: '127.0.0.1',
+    port: 4010,
+    failure: 'none',
+    delay: 0,
+    record: '',
+    fixtures: path.join(__dirname, 'fixtures'),
+};
+
+const FAILURE_MODES = ['none', 'timeout', '500', '503', 'malformed'];
+const DEFAULT_SIZE = 300;
+const MAX_SIZE = 1000;
+const DEFAULT_LANG = 'sr_RS_Latn';
+
+// Status descriptions per lang; issues come from validator.local.* in i18n
+const STATUS_TEXT = {
+    sr_RS_Latn: {
+        valid: 'Validacija uspešna',
+        invalid: 'Validacija neuspešna',
+    },
+    sr_RS: { valid: 'Валидација успешна', invalid: 'Валидација неуспешна' },
+    en: { valid: 'Validation successful', invalid: 'Validation failed' },
+};
+
+function loadMessages(lang) {
+    const file = path.join(__dirname, '..', 'assets', 'i18n', `${lang}.json`);
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8')).validator.local;
+    } catch (error) {
+        return {};
+    }
+}
+
+const MESSAGES = Object.fromEntries(
+    Object.keys(STATUS_TEXT).map((lang) => [lang, loadMessages(lang)])
+);
+
+function translateIssue(issue, lang) {
+    const template = MESSAGES[lang][issue.code];
+    if (!template) {
+        return issue.message;
+    }
+    return template.replace(/\{\{(\w+)\}\}/g, (match, param) =>
+        issue.params && issue.params[param] !== undefined
+            ? issue.params[param]
+            : match
+    );
+}
+
+// Options from --name=value arguments over MOCK_NAME variables over defaults
+function readOptions(argv = process.argv.slice(2), env = process.env) {
+    const options = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach((name) => {
+        const variable = env[`MOCK_${name.toUpperCase()}`];
+        if (variable !== undefined) {
+            options[name] = variable;
+        }
+    });
+    argv.forEach((argument) => {
+        const match = /^--(\w+)=(.*)$/.exec(argument);
+        if (match && match[1] in DEFAULTS) {
+            options[match[1]] = match[2];
+        }
+    });
+
+    options.port = Number(options.port);
+    options.delay = Number(options.delay) || 0;
+    return options;
+}
+
+// NBS-shaped { s, t, n, e } body and HTTP status for a payload
+function validatePayload(text, lang) {
+    const { tags, issues } = IPSQRParser.check(text);
+    const valid = issues.length === 0;
+    const body = {
+        s: {
+            code: valid ? 0 : 1,
+            desc: STATUS_TEXT[lang][valid ? 'valid' : 'invalid'],
+        },
+        t: text,
+        n: tags,
+    };
+    if (!valid) {
+        body.e = issues.map((issue) => translateIssue(issue, lang));
+    }
+    return { status: valid ? 200 : 400, body };
+}
+
+// /gen sends tags as JSON; they are joined in specification order
+function payloadFromJSON(raw) {
+    const data = JSON.parse(raw);
+    return IPSQRParser.TAG_ORDER.filter((tag) => data[tag])
+        .map((tag) => `${tag}:${String(data[tag]).replace(/\r?\n/g, '\r\n')}`)
+        .join('|');
+}
+
+// The `file` part of a multipart/form-data body
+function extractUpload(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+    if (!match) {
+        return null;
+    }
+
+    const boundary = Buffer.from(`--${match[1] || match[2]}`);
+    let start = body.indexOf(boundary);
+    while (start !== -1) {
+        const next = body.indexOf(boundary, start + boundary.length);
+        if (next === -1) {
+            break;
+        }
+        const part = body.subarray(start + boundary.length + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.toString('utf8', 0, headerEnd);
+        if (/name="file"/.test(headers)) {
+            return part.subarray(headerEnd + 4);
+        }
+        start = next;
+    }
+    return null;
+}
+
+function createMockServer(overrides = {}) {
+    const options = { ...DEFAULTS, ...overrides };
+    const state = {};
+
+    function resetFailure() {
+        Object.assign(state, {
+            failure: FAILURE_MODES.includes(String(options.failure))
+                ? String(options.failure)
+                : 'none',
+            remaining: null,
+            endpoint: null,
+            delay: Number(options.delay) || 0,
+        });
+    }
+    resetFailure();
+
+    function send(res, status, body, contentType = 'application/json') {
+        res.writeHead(status, {
+            'Content-Type': contentType,
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Accept',
+        });
+        res.end(Buffer.isBuffer(body) ? body : JSON.stringify(body));
+    }
+
+    function fixturePath(route, rawBody) {
+        const hash = crypto
+            .createHash('sha1')
+            .update(rawBody)
+            .digest('hex')
+            .substring(0, 16);
+        const name = [
+            route.endpoint,
+            route.size || 'default',
+            route.lang,
+            hash,
+        ];
+        return path.join(options.fixtures, `${name.join('-')}.json`);
+    }
+
+    function readFixture(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function sendFixture(res, fixture) {
+        send(
+            res,
+            fixture.status,
+            fixture.bodyBase64
+                ? Buffer.from(fixture.bodyBase64, 'base64')
+                : fixture.body,
+            fixture.contentType
+        );
+    }
+
+    // Forward to the real API and keep the answer as a fixture
+    async function record(req, route, rawBody, file) {
+        const upstream = await fetch(
+            `${options.record.replace(/\/$/, '')}${req.url.substring(API_PATH.length)}`,
+            {
+                method: req.method,
+                headers: {
+                    Accept: req.headers.accept || 'application/json',
+                    'Content-Type': req.headers['content-type'] || '',
+                },
+                body: rawBody,
+            }
+        );
+        const contentType = upstream.headers.get('content-type') || '';
+        const payload = Buffer.from(await upstream.arrayBuffer());
+        const fixture = {
+            source: options.record,
+            endpoint: `/${route.endpoint}`,
+            size: route.size,
+            lang: route.lang,
+            request:
+                route.endpoint === 'upload' ? null : rawBody.toString('utf8'),
+            status: upstream.status,
+            contentType,
+        };
+        if (contentType.includes('json')) {
+            fixture.body = JSON.parse(payload.toString('utf8'));
+        } else {
+            fixture.bodyBase64 = payload.toString('base64');
+        }
+
+        fs.mkdirSync(options.fixtures, { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(fixture, null, 4)}\n`);
+        return fixture;
+    }
+
+    // Answer from the offline engine when there is no fixture
+    function respond(res, route, rawBody, contentType) {
+        let text;
+        if (route.endpoint === 'upload') {
+            text = readPayload(extractUpload(rawBody, contentType));
+            if (text === null) {
+                send(res, 400, {
+                    s: {
+                        code: 1,
+                        desc: 'The mock only reads images generated by /gen or /generate',
+                    },
+                });
+                return;
+            }
+        } else if (route.endpoint === 'gen') {
+            try {
+                text = payloadFromJSON(rawBody.toString('utf8'));
+            } catch (error) {
+                send(res, 400, { s: { code: 1, desc: 'Malformed JSON' } });
+                return;
+            }
+        } else {
+            text = rawBody.toString('utf8');
+        }
+
+        const { status, body } = validatePayload(text, route.lang);
+        if (status !== 200 || ['validate', 'upload'].includes(route.endpoint)) {
+            send(res, status, body);
+            return;
+        }
+
+        const image = renderQR(QREncoder.encode(text), text, {
+            size: Math.min(route.size || DEFAULT_SIZE, MAX_SIZE),
+        });
+        if (route.endpoint === 'gen') {
+            send(res, 200, image, 'image/png');
+        } else {
+            send(res, 200, { ...body, i: image.toString('base64') });
+        }
+    }
+
+    // Apply the active failure mode; true when the request was handled
+    function fail(res, route) {
+        if (
+            state.failure === 'none' ||
+            (state.endpoint && state.endpoint !== `/${route.endpoint}`)
+        ) {
+            return false;
+        }
+
+        const mode = state.failure;
+        if (state.remaining !== null && --state.remaining <= 0) {
+            Object.assign(state, {
+                failure: 'none',
+                remaining: null,
+                endpoint: null,
+            });
+        }
+
+        if (mode === 'timeout') {
+            // Never answer; the client gives up on its own
+            return true;
+        }
+        if (mode === 'malformed') {
+            send(res, 200, Buffer.from('{"s":{"code":0,"desc":'));
+            return true;
+        }
+        send(res, Number(mode), {
+            s: { code: Number(mode), desc: `Mock failure (${mode})` },
+        });
+        return true;
+    }
+
+    // /__mock shows the state, /__mock/failure changes it and /__mock/reset
+    // returns to the startup options
+    function control(res, url) {
+        if (url.pathname === `${CONTROL_PATH}/reset`) {
+            resetFailure();
+        } else if (url.pathname === `${CONTROL_PATH}/failure`) {
+            const mode = url.searchParams.get('mode') || 'none';
+            if (!FAILURE_MODES.includes(mode)) {
+                send(res, 400, {
+                    error: `Unknown failure mode "${mode}"`,
+                    modes: FAILURE_MODES,
+                });
+                return;
+            }
+            const count = Number(url.searchParams.get('count'));
+            state.failure = mode;
+            state.remaining = count > 0 ? count : null;
+            state.endpoint = url.searchParams.get('endpoint');
+            if (url.searchParams.has('delay')) {
+                state.delay = Number(url.searchParams.get('delay')) || 0;
+            }
+        } else if (url.pathname !== CONTROL_PATH) {
+            send(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        send(res, 200, { ...state, modes: FAILURE_MODES });
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'OPTIONS') {
+            send(res, 204, Buffer.alloc(0));
+            return;
+        }
+        if (url.pathname.startsWith(CONTROL_PATH)) {
+            control(res, url);
+            return;
+        }
+
+        const match = ROUTE.exec(url.pathname);
+        if (!match || req.method !== 'POST') {
+            send(res, 404, { s: { code: 404, desc: 'Not found' } });
+            return;
+        }
+
+        const lang = url.searchParams.get('lang');
+        const route = {
+            endpoint: match[1],
+            size: match[2] ? Number(match[2]) : null,
+            lang: STATUS_TEXT[lang] ? lang : DEFAULT_LANG,
+        };
+
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const rawBody = Buffer.concat(chunks);
+
+        if (state.delay > 0) {
+            await new Promise((resolve) => setTimeout(resolve, state.delay));
+        }
+        if (fail(res, route)) {
+            return;
+        }
+
+        const file = fixturePath(route, rawBody);
+        const fixture = options.record
+            ? await record(req, route, rawBody, file)
+            : readFixture(file);
+        if (fixture) {
+            sendFixture(res, fixture);
+            return;
+        }
+
+        respond(res, route, rawBody, req.headers['content-type']);
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch((error) => {
+            console.error('Mock server error:', error);
+            if (!res.headersSent) {
+                send(res, 500, { s: { code: 500, desc: error.message } });
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    const options = readOptions();
+    const server = createMockServer(options);
+
+    server.listen(options.port, options.host, () => {
+        console.log(
+            `NBS API mock listening on http://${options.host}:${options.port}${API_PATH}`
+        );
+        if (options.record) {
+            console.log(`Recording fixtures from ${options.record}`);
+        }
+    });
+
+    // Requests held open by the timeout mode must not keep the process alive
+    ['SIGINT', 'SIGTERM'].forEach((signal) => {
+        process.on(signal, () => {
+            server.closeAllConnections();
+            server.close(() => process.exit(0));
+        });
+    });
+}
+
+module.exports = { API_PATH, FAILURE_MODES, createMockServer, readOptions };
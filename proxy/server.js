@@ -0,0 +1,287 @@
+// CORS proxy for the NBS account register and IPS QR API
+// The register page cannot be fetched from the browser, so this service
+// queries it, parses the result table and answers GET /account/{number} and
+// the reverse search GET /account?name=&taxId=&nationalId= with JSON. Results
+// are cached in memory. Requests under /QRcode and /PnWebApp are forwarded
+// unchanged with CORS headers added.
+//
+// Usage: node proxy/server.js [--port=8080] [--ttl=3600] [--cache=500]
+// Select it in the app with the "proxy" backend profile (?backend=proxy).
+
+'use strict';
+
+const http = require('http');
+
+const AccountNumber = require('../assets/js/account-number');
+const AccountRegister = require('../assets/js/account-register');
+
+const DEFAULTS = {
+    host: '127.0.0.1',
+    port: 8080,
+    // Origin of the register and the QR API
+    register: 'https://webappcenter.nbs.rs',
+    api: 'https://nbs.rs',
+    // Seconds a lookup stays cached, and the most lookups kept
+    ttl: 3600,
+    cache: 500,
+    timeout: 20000,
+};
+
+const ACCOUNT_ROUTE = /^\/account\/([^/]+)\/?$/;
+const SEARCH_ROUTE = /^\/account\/?$/;
+const FORWARDED = [
+    { prefix: '/QRcode/', option: 'api' },
+    { prefix: '/PnWebApp/', option: 'register' },
+];
+
+// Options from --name=value arguments over PROXY_NAME variables over defaults
+function readOptions(argv = process.argv.slice(2), env = process.env) {
+    const options = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach((name) => {
+        const variable = env[`PROXY_${name.toUpperCase()}`];
+        if (variable !== undefined) {
+            options[name] = variable;
+        }
+    });
+    argv.forEach((argument) => {
+        const match = /^--(\w+)=(.*)$/.exec(argument);
+        if (match && match[1] in DEFAULTS) {
+            options[match[1]] = match[2];
+        }
+    });
+
+    ['port', 'ttl', 'cache', 'timeout'].forEach((name) => {
+        options[name] = Number(options[name]);
+    });
+    return options;
+}
+
+// A path segment as text, or null when its percent-encoding is broken
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        return null;
+    }
+}
+
+function createProxyServer(overrides = {}) {
+    const options = { ...DEFAULTS, ...overrides };
+    const registerURL = new URL(AccountRegister.REGISTER_URL);
+    const registerPath = `${options.register.replace(/\/$/, '')}${registerURL.pathname}`;
+
+    // Lookups by normalized account or search query; Map order doubles as
+    // age order
+    const cache = new Map();
+    const pending = new Map();
+
+    function send(res, status, body, headers = {}) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Accept',
+            ...headers,
+        });
+        res.end(Buffer.isBuffer(body) ? body : JSON.stringify(body));
+    }
+
+    function readCache(account) {
+        const entry = cache.get(account);
+        if (!entry) {
+            return null;
+        }
+        if (Date.now() - entry.time > options.ttl * 1000) {
+            cache.delete(account);
+            return null;
+        }
+        return entry.result;
+    }
+
+    function writeCache(account, result) {
+        cache.delete(account);
+        cache.set(account, { time: Date.now(), result });
+        while (cache.size > options.cache) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+
+    // Query the register once per key, however many requests wait on it
+    async function lookup(key, query, fields) {
+        if (pending.has(key)) {
+            return pending.get(key);
+        }
+
+        const request = fetch(`${registerPath}?${query}`, {
+            signal: AbortSignal.timeout(options.timeout),
+        })
+            .then(async (response) => {
+                if (!response.ok) {
+                    throw new Error(
+                        `Register responded with HTTP ${response.status}`
+                    );
+                }
+                const result = {
+                    ...fields,
+                    accounts: AccountRegister.parse(await response.text()),
+                    fetchedAt: new Date().toISOString(),
+                };
+                writeCache(key, result);
+                return result;
+            })
+            .finally(() => pending.delete(key));
+
+        pending.set(key, request);
+        return request;
+    }
+
+    async function respondWithLookup(res, key, query, fields) {
+        const cached = readCache(key);
+        if (cached) {
+            send(res, 200, { ...cached, cached: true });
+            return;
+        }
+
+        try {
+            send(res, 200, {
+                ...(await lookup(key, query, fields)),
+                cached: false,
+            });
+        } catch (error) {
+            console.error('Register lookup failed:', error.message);
+            send(res, 502, {
+                error: 'registerUnavailable',
+                message: error.message,
+            });
+        }
+    }
+
+    // GET /account/{number}: the register entries for one account as JSON
+    async function handleAccount(res, segment) {
+        const number = decodeSegment(segment);
+        const account = number === null ? null : AccountNumber.check(number);
+        if (!account || !account.normalized || !account.valid) {
+            send(res, 400, {
+                error: 'invalidAccount',
+                message:
+                    'Expected an 18-digit account number with valid control digits',
+            });
+            return;
+        }
+
+        await respondWithLookup(
+            res,
+            account.normalized,
+            AccountRegister.buildQuery(account),
+            { account: account.normalized }
+        );
+    }
+
+    // GET /account?name=&taxId=&nationalId=&city=: reverse search
+    async function handleSearch(res, searchParams) {
+        const search = AccountRegister.checkSearch(
+            Object.fromEntries(searchParams)
+        );
+        if (!search.valid) {
+            send(res, 400, { error: search.code, message: search.message });
+            return;
+        }
+
+        const query = AccountRegister.buildQuery(search.criteria);
+        await respondWithLookup(res, `search:${query.toLowerCase()}`, query, {
+            search: search.criteria,
+        });
+    }
+
+    // Pass a request through to the register or the QR API
+    async function forward(req, res, origin) {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+
+        const headers = {};
+        ['accept', 'content-type'].forEach((name) => {
+            if (req.headers[name]) {
+                headers[name] = req.headers[name];
+            }
+        });
+
+        const upstream = await fetch(`${origin.replace(/\/$/, '')}${req.url}`, {
+            method: req.method,
+            headers,
+            body: ['GET', 'HEAD'].includes(req.method)
+                ? undefined
+                : Buffer.concat(chunks),
+            signal: AbortSignal.timeout(options.timeout),
+        });
+        send(res, upstream.status, Buffer.from(await upstream.arrayBuffer()), {
+            'Content-Type':
+                upstream.headers.get('content-type') ||
+                'application/octet-stream',
+        });
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'OPTIONS') {
+            send(res, 204, Buffer.alloc(0));
+            return;
+        }
+
+        if (url.pathname === '/health') {
+            send(res, 200, { status: 'ok', cached: cache.size });
+            return;
+        }
+
+        const account = ACCOUNT_ROUTE.exec(url.pathname);
+        if (account && req.method === 'GET') {
+            await handleAccount(res, account[1]);
+            return;
+        }
+        if (SEARCH_ROUTE.test(url.pathname) && req.method === 'GET') {
+            await handleSearch(res, url.searchParams);
+            return;
+        }
+
+        const target = FORWARDED.find((entry) =>
+            url.pathname.startsWith(entry.prefix)
+        );
+        if (target) {
+            await forward(req, res, options[target.option]);
+            return;
+        }
+
+        send(res, 404, { error: 'notFound' });
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch((error) => {
+            console.error('Proxy error:', error.message);
+            if (!res.headersSent) {
+                send(res, 502, {
+                    error: 'upstreamError',
+                    message: error.message,
+                });
+            }
+        });
+    });
+}
+
+if (require.main === module) {
+    const options = readOptions();
+    const server = createProxyServer(options);
+
+    server.listen(options.port, options.host, () => {
+        console.log(
+            `NBS proxy listening on http://${options.host}:${options.port}`
+        );
+    });
+
+    ['SIGINT', 'SIGTERM'].forEach((signal) => {
+        process.on(signal, () => server.close(() => process.exit(0)));
+    });
+}
+
+module.exports = { createProxyServer, readOptions };
@@ -0,0 +1,52 @@
+const AccountNumber = require('../assets/js/account-number');
+
+describe('AccountNumber', () => {
+    test('computes MOD 97 control digits', () => {
+        expect(AccountNumber.computeControlDigits('8450000000404849')).toBe(
+            '87'
+        );
+        expect(
+            AccountNumber.isValid(
+                `1600000000000005${AccountNumber.computeControlDigits('1600000000000005')}`
+            )
+        ).toBe(true);
+    });
+
+    test.each([
+        ['845000000040484987', '845000000040484987'],
+        ['845-0000000404849-87', '845000000040484987'],
+        ['160-5-77', '160000000000000577'],
+        [' 845 000000040484987 ', '845000000040484987'],
+        ['845-404849', null],
+        ['', null],
+    ])('normalizes %p', (input, expected) => {
+        expect(AccountNumber.normalize(input)).toBe(expected);
+    });
+
+    test('validates the remainder', () => {
+        expect(AccountNumber.isValid('845000000040484987')).toBe(true);
+        expect(AccountNumber.isValid('845000000040484988')).toBe(false);
+        expect(AccountNumber.isValid('84500000004048498')).toBe(false);
+    });
+
+    test('formats as BBB-AAAAAAAAAAAAA-CC', () => {
+        expect(AccountNumber.format('845000000040484987')).toBe(
+            '845-0000000404849-87'
+        );
+        expect(AccountNumber.format('123')).toBe('123');
+    });
+
+    test('suggests the corrected account', () => {
+        const result = AccountNumber.check('845-0000000404849-88');
+
+        expect(result.valid).toBe(false);
+        expect(result.expected).toBe('87');
+        expect(result.suggestion).toBe('845000000040484987');
+        expect(AccountNumber.check('845000000040484987')).toMatchObject({
+            valid: true,
+            bankCode: '845',
+            controlNumber: '87',
+            suggestion: null,
+        });
+    });
+});
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+
+const AccountRegister = require('../assets/js/account-register');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+describe('AccountRegister.parse', () => {
+    test('reads every account of the results table by its headers', () => {
+        const accounts = AccountRegister.parse(
+            fixture('register-results.html')
+        );
+
+        expect(accounts.map((account) => account.account)).toEqual([
+            '160-0000000012345-67',
+            '205-0000000054321-12',
+            '265-0000000099999-88',
+        ]);
+        expect(accounts[0]).toEqual({
+            name: 'ЈП ЕПС БЕОГРАД',
+            nationalId: '20053658',
+            taxId: '103920327',
+            address: 'Балканска 13',
+            city: 'Београд',
+            municipality: 'Стари град',
+            activity: '3513 Дистрибуција електричне енергије',
+            bank: 'Banca Intesa a.d. Beograd',
+            account: '160-0000000012345-67',
+            status: 'Укључен',
+            blockStatus: 'Нема блокаде',
+            openDate: '01.07.2005',
+            blocked: false,
+            inactive: false,
+        });
+        expect(accounts[1]).toMatchObject({
+            name: 'ЈП ЕПС БЕОГРАД & ОГРАНАК',
+            address: 'Балканска 13',
+        });
+    });
+
+    test('flags blocked and inactive accounts', () => {
+        const accounts = AccountRegister.parse(
+            fixture('register-results.html')
+        );
+
+        expect(
+            accounts.map(({ blocked, inactive }) => ({ blocked, inactive }))
+        ).toEqual([
+            { blocked: false, inactive: false },
+            { blocked: true, inactive: false },
+            { blocked: false, inactive: true },
+        ]);
+    });
+
+    test('maps reordered and renamed Latin headers', () => {
+        const accounts = AccountRegister.parse(
+            fixture('register-reordered.html')
+        );
+
+        expect(accounts).toEqual([
+            expect.objectContaining({
+                name: 'Primer DOO Novi Sad',
+                nationalId: '08123456',
+                taxId: '101234567',
+                bank: 'UniCredit Bank Srbija a.d. Beograd',
+                account: '170-0030012345000-11',
+                status: 'Aktivan',
+                blockStatus: 'Ne',
+                openDate: '05.05.2015',
+                city: '',
+                blocked: false,
+                inactive: false,
+            }),
+            expect.objectContaining({
+                account: '340-0000011111111-22',
+                blocked: true,
+                inactive: true,
+            }),
+        ]);
+    });
+
+    test('falls back to cell positions without recognised headers', () => {
+        const cells = [
+            'Primer DOO',
+            '08123456',
+            '101234567',
+            'Bulevar 1',
+            'Novi Sad',
+            'Novi Sad',
+            '6201',
+            'Erste Bank a.d. Novi Sad',
+            '340-0000011111111-22',
+            'Укључен',
+            'Рачун је у блокади',
+            '01.02.2012',
+        ];
+        const html = `<table><tr><th>1</th><th>2</th></tr><tr>${cells
+            .map((cell) => `<td>${cell}</td>`)
+            .join('')}</tr><tr><td>Strana 1</td></tr></table>`;
+
+        expect(AccountRegister.parse(html)).toEqual([
+            expect.objectContaining({
+                name: 'Primer DOO',
+                account: '340-0000011111111-22',
+                openDate: '01.02.2012',
+                blocked: true,
+                inactive: false,
+            }),
+        ]);
+    });
+
+    test('returns no accounts for a page without results', () => {
+        expect(AccountRegister.parse('<p>Нема резултата</p>')).toEqual([]);
+        expect(AccountRegister.parse('')).toEqual([]);
+    });
+});
+
+describe('AccountRegister.parseTables', () => {
+    test('keeps the rows of a nested table out of the outer table', () => {
+        const tables = AccountRegister.parseTables(
+            '<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td><table><tr><td>x</td></tr><tr><td>y</td></tr></table></td><td>3</td></tr></table>'
+        );
+
+        expect(tables).toEqual([
+            [
+                { header: true, cells: ['A', 'B'] },
+                { header: false, cells: ['1', 'x y', '3'] },
+            ],
+            [
+                { header: false, cells: ['x'] },
+                { header: false, cells: ['y'] },
+            ],
+        ]);
+    });
+
+    test('closes cells and rows the page leaves open', () => {
+        expect(
+            AccountRegister.parseTables(
+                '<table><tr><td>1<td>2<tr><td>3</table><table><tr><td>4'
+            )
+        ).toEqual([
+            [
+                { header: false, cells: ['1', '2'] },
+                { header: false, cells: ['3'] },
+            ],
+            [{ header: false, cells: ['4'] }],
+        ]);
+    });
+});
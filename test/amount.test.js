@@ -0,0 +1,55 @@
+const IPSAmount = require('../assets/js/amount');
+
+describe('IPSAmount.parse', () => {
+    test.each([
+        ['3596,13', 'RSD3596,13'],
+        ['RSD3596,13', 'RSD3596,13'],
+        ['rsd 10', 'RSD10,00'],
+        ['1.234,56', 'RSD1234,56'],
+        ['1,234.56', 'RSD1234,56'],
+        ['1.234,5', 'RSD1234,50'],
+        ['1 234,56', 'RSD1234,56'],
+        ['1\u00a0234,56', 'RSD1234,56'],
+        ['1\u202f234,56', 'RSD1234,56'],
+        ["1'234.56", 'RSD1234,56'],
+        ['1.234', 'RSD1234,00'],
+        ['1,234', 'RSD1234,00'],
+        ['12.345.678', 'RSD12345678,00'],
+        ['1234.5', 'RSD1234,50'],
+        ['0,5', 'RSD0,50'],
+        [',5', 'RSD0,50'],
+        ['007', 'RSD7,00'],
+    ])('%p is %s', (input, value) => {
+        expect(IPSAmount.parse(input)).toMatchObject({ valid: true, value });
+    });
+
+    test.each([
+        ['', 'empty'],
+        ['EUR10', 'unsupportedCurrency'],
+        ['-5', 'notPositive'],
+        ['0', 'notPositive'],
+        ['0,00', 'notPositive'],
+        ['1,2345', 'tooManyDecimals'],
+        ['0,500', 'tooManyDecimals'],
+        ['0.500', 'tooManyDecimals'],
+        ['0.500.000', 'invalidFormat'],
+        ['1.23.456', 'invalidFormat'],
+        ['1.234.56', 'invalidFormat'],
+        ['12a', 'invalidFormat'],
+        ['1234567890123456', 'tooLong'],
+    ])('%p is rejected as %s', (input, code) => {
+        expect(IPSAmount.parse(input)).toMatchObject({ valid: false, code });
+    });
+});
+
+describe('IPSAmount.normalize and format', () => {
+    test('normalize returns the IPS form or null', () => {
+        expect(IPSAmount.normalize('1.234,5')).toBe('RSD1234,50');
+        expect(IPSAmount.normalize('abc')).toBeNull();
+    });
+
+    test('format falls back to the IPS digits without i18n', () => {
+        expect(IPSAmount.format('1.234,5')).toBe('1234,50 RSD');
+        expect(IPSAmount.format('abc')).toBe('abc');
+    });
+});
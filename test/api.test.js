@@ -0,0 +1,308 @@
+const { NBSAPIClient } = require('../assets/js/api');
+
+describe('NBSAPIClient.handleError', () => {
+    const client = new NBSAPIClient();
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // Chrome, Firefox and Safari word a failed fetch differently
+    test.each([
+        'Failed to fetch',
+        'NetworkError when attempting to fetch resource.',
+        'Load failed',
+    ])('reads the TypeError "%s" as a network error', (message) => {
+        expect(client.handleError(new TypeError(message), '/validate')).toEqual(
+            expect.objectContaining({ code: 'NETWORK_ERROR' })
+        );
+    });
+
+    test('reads an aborted request as a timeout', () => {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+
+        expect(client.handleError(error, '/validate').code).toBe('TIMEOUT');
+    });
+
+    test('keeps other errors unexpected', () => {
+        expect(
+            client.handleError(
+                new SyntaxError('Unexpected end of JSON'),
+                '/gen'
+            )
+        ).toEqual(
+            expect.objectContaining({
+                code: 'UNKNOWN_ERROR',
+                error: 'Unexpected end of JSON',
+            })
+        );
+    });
+});
+
+describe('NBSAPIClient retries', () => {
+    const client = new NBSAPIClient();
+    let attempts;
+
+    function recordAttempt(event) {
+        attempts.push(event.detail);
+    }
+
+    function respond(status, body = { s: { code: 0 } }) {
+        return {
+            status,
+            ok: status >= 200 && status < 300,
+            statusText: String(status),
+            headers: { get: () => 'application/json' },
+            json: async () => body,
+        };
+    }
+
+    // Run a request to the end, fake timers included
+    async function run(endpoint, options = {}) {
+        const outcome = client
+            .makeRequest(endpoint, 'POST', 'K:PR', {
+                isTextData: true,
+                ...options,
+            })
+            .then(
+                (value) => ({ value }),
+                (error) => ({ error })
+            );
+        await jest.runAllTimersAsync();
+        return outcome;
+    }
+
+    beforeEach(() => {
+        attempts = [];
+        jest.useFakeTimers();
+        jest.spyOn(Math, 'random').mockReturnValue(0.5);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        document.addEventListener('apiAttempt', recordAttempt);
+        window.fetch = jest.fn();
+    });
+
+    afterEach(() => {
+        document.removeEventListener('apiAttempt', recordAttempt);
+        delete window.fetch;
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+    });
+
+    test('retries 502, 503 and 504 with growing delays until one succeeds', async () => {
+        window.fetch
+            .mockResolvedValueOnce(respond(503))
+            .mockResolvedValueOnce(respond(502))
+            .mockResolvedValueOnce(respond(504))
+            .mockResolvedValueOnce(respond(200));
+
+        const { value } = await run('/validate');
+
+        expect(value).toMatchObject({ success: true, status: 200 });
+        expect(window.fetch).toHaveBeenCalledTimes(4);
+        expect(attempts).toEqual([
+            expect.objectContaining({ attempt: 1, delay: 0, reason: null }),
+            expect.objectContaining({
+                attempt: 2,
+                delay: 375,
+                reason: 'HTTP_503',
+            }),
+            expect.objectContaining({
+                attempt: 3,
+                delay: 750,
+                reason: 'HTTP_502',
+            }),
+            expect.objectContaining({
+                attempt: 4,
+                delay: 1500,
+                reason: 'HTTP_504',
+            }),
+        ]);
+    });
+
+    test('returns a 4xx answer without retrying', async () => {
+        window.fetch.mockResolvedValue(respond(400, { s: { code: 1 } }));
+
+        const { value } = await run('/validate');
+
+        expect(value).toMatchObject({ success: false, status: 400 });
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('returns the last 503 once the retries are used up', async () => {
+        window.fetch.mockResolvedValue(respond(503));
+
+        const { value } = await run('/validate');
+
+        expect(value).toMatchObject({ success: false, status: 503 });
+        expect(window.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    test('gives up on network errors after the retries of the endpoint', async () => {
+        window.fetch.mockRejectedValue(new TypeError('Load failed'));
+
+        const validate = await run('/validate');
+        expect(validate.error.code).toBe('NETWORK_ERROR');
+        expect(window.fetch).toHaveBeenCalledTimes(4);
+
+        window.fetch.mockClear();
+        const upload = await run('/upload', { isTextData: false });
+        expect(upload.error.code).toBe('NETWORK_ERROR');
+        expect(window.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not retry errors that are not outages', async () => {
+        window.fetch.mockResolvedValue({
+            ...respond(200),
+            json: async () => {
+                throw new SyntaxError('Unexpected end of JSON input');
+            },
+        });
+
+        const { error } = await run('/validate');
+
+        expect(error.code).toBe('UNKNOWN_ERROR');
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('stops retrying when the next delay would pass the deadline', async () => {
+        window.fetch.mockResolvedValue(respond(503));
+
+        // Delays of 600 and then 1200 ms against a 1000 ms deadline
+        const { value } = await run('/validate', {
+            retryPolicy: { baseDelay: 800, deadline: 1000 },
+        });
+
+        expect(value.status).toBe(503);
+        expect(window.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('aborts a hanging request when the deadline runs out', async () => {
+        window.fetch.mockImplementation(
+            (url, config) =>
+                new Promise((resolve, reject) => {
+                    config.signal.addEventListener('abort', () => {
+                        const error = new Error('The operation was aborted');
+                        error.name = 'AbortError';
+                        reject(error);
+                    });
+                })
+        );
+
+        const start = Date.now();
+        const { error } = await run('/validate', {
+            retryPolicy: { retries: 0, deadline: 5000 },
+        });
+
+        expect(error.code).toBe('TIMEOUT');
+        expect(Date.now() - start).toBe(5000);
+    });
+});
+
+describe('NBSAPIClient.getRetryDelay', () => {
+    const client = new NBSAPIClient();
+    const policy = client.getRetryPolicy('/validate');
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('keeps the delay between half and all of the backoff step', () => {
+        for (let attempt = 1; attempt <= 6; attempt++) {
+            const step = Math.min(
+                policy.maxDelay,
+                policy.baseDelay * 2 ** (attempt - 1)
+            );
+
+            jest.spyOn(Math, 'random').mockReturnValue(0);
+            expect(client.getRetryDelay(policy, attempt)).toBe(step / 2);
+            jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+            expect(client.getRetryDelay(policy, attempt)).toBe(step);
+        }
+    });
+
+    test('caps the step at maxDelay', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+
+        expect(client.getRetryDelay(policy, 20)).toBe(policy.maxDelay);
+    });
+});
+
+describe('NBSAPIClient.canRetry', () => {
+    const client = new NBSAPIClient();
+    const policy = { retries: 2 };
+
+    test('allows the configured number of retries', () => {
+        const deadline = Date.now() + 60000;
+
+        expect(client.canRetry(policy, 1, deadline, 100)).toBe(true);
+        expect(client.canRetry(policy, 2, deadline, 100)).toBe(true);
+        expect(client.canRetry(policy, 3, deadline, 100)).toBe(false);
+    });
+
+    test('refuses a retry that would start after the deadline', () => {
+        const deadline = Date.now() + 1000;
+
+        expect(client.canRetry(policy, 1, deadline, 500)).toBe(true);
+        expect(client.canRetry(policy, 1, deadline, 1500)).toBe(false);
+    });
+});
+
+describe('makeAPICall loading state', () => {
+    let button;
+    let answer;
+
+    beforeEach(() => {
+        global.currentLanguage = 'en';
+        document.body.innerHTML =
+            '<button type="submit" data-original-text="Validate">Validate</button>';
+        button = document.querySelector('button');
+        window.fetch = jest.fn(
+            () =>
+                new Promise((resolve) => {
+                    answer = () =>
+                        resolve({
+                            status: 200,
+                            ok: true,
+                            statusText: 'OK',
+                            headers: { get: () => 'application/json' },
+                            json: async () => ({ s: { code: 0 } }),
+                        });
+                })
+        );
+    });
+
+    afterEach(() => {
+        delete window.fetch;
+        delete global.currentLanguage;
+        document.body.innerHTML = '';
+    });
+
+    test('disables the submit buttons while a call runs', async () => {
+        const call = window.NBSAPI.makeAPICall('/validate', 'POST', 'K:PR', {
+            isTextData: true,
+        });
+        expect(button.disabled).toBe(true);
+
+        answer();
+        await call;
+        expect(button.disabled).toBe(false);
+        expect(button.innerHTML).toBe('Validate');
+    });
+
+    test('leaves the buttons alone with showLoading false', async () => {
+        const call = window.NBSAPI.makeAPICall('/validate', 'POST', 'K:PR', {
+            isTextData: true,
+            showLoading: false,
+        });
+        expect(button.disabled).toBe(false);
+
+        answer();
+        await call;
+        expect(button.disabled).toBe(false);
+    });
+});
@@ -0,0 +1,90 @@
+// Each test loads the module afresh, as a page load does
+function load(search = '') {
+    window.history.replaceState({}, '', `/generator${search}`);
+    let BackendProfiles;
+    jest.isolateModules(() => {
+        BackendProfiles = require('../assets/js/backend-profiles');
+    });
+    return BackendProfiles;
+}
+
+describe('BackendProfiles', () => {
+    let changes;
+
+    function countChange() {
+        changes++;
+    }
+
+    beforeEach(() => {
+        changes = 0;
+        delete window.SITE_CONFIG;
+        document.addEventListener('backendProfileChanged', countChange);
+    });
+
+    afterEach(() => {
+        document.removeEventListener('backendProfileChanged', countChange);
+        jest.restoreAllMocks();
+    });
+
+    test('falls back to the site default and the built-in profiles', () => {
+        expect(load().current().id).toBe('production');
+
+        window.SITE_CONFIG = {
+            apiProfiles: {
+                production: { label: 'NBS', base_url: 'https://nbs.rs/x' },
+                mock: { label: 'Mock', base_url: 'http://localhost:4010' },
+            },
+            defaultApiProfile: 'mock',
+        };
+        const BackendProfiles = load();
+        expect(BackendProfiles.current()).toMatchObject({
+            id: 'mock',
+            baseURL: 'http://localhost:4010',
+            offline: false,
+        });
+        expect(BackendProfiles.list().map((profile) => profile.id)).toEqual([
+            'production',
+            'mock',
+        ]);
+    });
+
+    test('saves the query parameter as the choice once, at load', () => {
+        const BackendProfiles = load('?backend=offline');
+        expect(localStorage.getItem(BackendProfiles.STORAGE_KEY)).toBe(
+            'offline'
+        );
+        expect(BackendProfiles.current().id).toBe('offline');
+        expect(BackendProfiles.current().id).toBe('offline');
+        expect(changes).toBe(1);
+    });
+
+    test('keeps a profile picked after load over the query parameter', () => {
+        const BackendProfiles = load('?backend=offline');
+        changes = 0;
+
+        expect(BackendProfiles.select('production').id).toBe('production');
+        expect(BackendProfiles.current().id).toBe('production');
+        expect(BackendProfiles.current().id).toBe('production');
+        expect(changes).toBe(1);
+    });
+
+    test('ignores unknown profiles in the query and in select', () => {
+        localStorage.setItem('nbs_backend_profile', 'offline');
+        const BackendProfiles = load('?backend=staging');
+
+        expect(BackendProfiles.current().id).toBe('offline');
+        expect(BackendProfiles.select('staging')).toBeNull();
+        expect(changes).toBe(0);
+    });
+
+    test('keeps the active profile when the storage refuses the choice', () => {
+        const BackendProfiles = load();
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new Error('QuotaExceededError');
+        });
+
+        expect(BackendProfiles.select('offline')).toBeNull();
+        expect(BackendProfiles.current().id).toBe('production');
+        expect(changes).toBe(0);
+    });
+});
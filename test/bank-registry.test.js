@@ -0,0 +1,78 @@
+const BankRegistry = require('../assets/js/bank-registry');
+
+describe('BankRegistry.get', () => {
+    test('finds a bank by code, full account or formatted account', () => {
+        expect(BankRegistry.get('160')).toMatchObject({
+            code: '160',
+            name: 'Banca Intesa a.d. Beograd',
+            bic: 'DBDBRSBG',
+            ips: true,
+        });
+        expect(BankRegistry.get('265000000000123456').code).toBe('265');
+        expect(BankRegistry.get('205-123456-78').code).toBe('205');
+    });
+
+    test('returns null for unknown codes', () => {
+        expect(BankRegistry.get('999')).toBeNull();
+        expect(BankRegistry.get('')).toBeNull();
+    });
+
+    test('knows the bank of the sample account and the smaller banks', () => {
+        ['845', '115', '295', '360'].forEach((code) => {
+            expect(BankRegistry.get(code)).toMatchObject({ code, ips: true });
+        });
+    });
+
+    test('points every merged bank at a bank that takes IPS payments', () => {
+        BankRegistry.list()
+            .filter((bank) => bank.mergedInto)
+            .forEach((bank) => {
+                expect(bank.ips).toBe(false);
+                expect(BankRegistry.get(bank.mergedInto).ips).toBe(true);
+            });
+        expect(BankRegistry.get('330').mergedInto).toBe('265');
+    });
+});
+
+describe('BankRegistry.describe', () => {
+    test('has no warning for an IPS participant', () => {
+        expect(BankRegistry.describe('845000000040484987')).toMatchObject({
+            code: '845',
+            warning: null,
+            message: null,
+        });
+    });
+
+    test('names the successor of a merged bank', () => {
+        expect(BankRegistry.describe('330-1234-56')).toMatchObject({
+            warning: 'notIpsParticipant',
+            message:
+                'Crédit Agricole banka Srbija a.d. Novi Sad was merged into Raiffeisen banka a.d. Beograd and no longer takes IPS payments',
+        });
+    });
+
+    test('reports codes missing from the directory with its version', () => {
+        expect(BankRegistry.describe('999')).toMatchObject({
+            bank: null,
+            warning: 'unknownBank',
+            message: `Bank code 999 is not in the bank directory (version ${BankRegistry.VERSION})`,
+        });
+    });
+
+    test('needs all three digits of the bank code', () => {
+        expect(BankRegistry.describe('16')).toBeNull();
+    });
+
+    test('translates warnings through i18n', () => {
+        window.i18n = {
+            t: (key, params) =>
+                key === 'bank.unknownBank'
+                    ? `Nepoznata banka ${params.code}`
+                    : key,
+        };
+
+        expect(BankRegistry.describe('999').message).toBe(
+            'Nepoznata banka 999'
+        );
+    });
+});
@@ -0,0 +1,211 @@
+const XLSX = require('xlsx');
+
+const IPSBatch = require('../assets/js/batch');
+
+// The parts of a File that readSpreadsheet reads
+function csvFile(text, name = 'payments.csv') {
+    return { name, type: 'text/csv', text: async () => text };
+}
+
+function xlsxFile(cells, name = 'payments.xlsx') {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(cells));
+    const bytes = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+    return { name, type: '', arrayBuffer: async () => bytes };
+}
+
+const VALID = {
+    K: 'PR',
+    V: '01',
+    C: '1',
+    R: '845-0000000404849-87',
+    N: 'JP EPS BEOGRAD\nBALKANSKA 13',
+    I: '3596,13',
+    SF: '189',
+};
+
+describe('IPSBatch.readSpreadsheet', () => {
+    beforeEach(() => {
+        window.XLSX = XLSX;
+    });
+
+    afterEach(() => {
+        delete window.XLSX;
+    });
+
+    test('keeps CSV values as typed and skips empty rows', async () => {
+        const table = await IPSBatch.readSpreadsheet(
+            csvFile(
+                'Račun,Naziv primaoca,Iznos,\n845000000040484987,Đorđe Škorić,"1.234,50",\n,,,\n000000000000000123,Ćevap d.o.o.,10'
+            )
+        );
+
+        expect(table).toEqual({
+            headers: ['Račun', 'Naziv primaoca', 'Iznos', 'Column 4'],
+            rows: [
+                ['845000000040484987', 'Đorđe Škorić', '1.234,50', ''],
+                ['000000000000000123', 'Ćevap d.o.o.', '10', ''],
+            ],
+        });
+    });
+
+    test('reads the first sheet of an XLSX file', async () => {
+        const table = await IPSBatch.readSpreadsheet(
+            xlsxFile([
+                ['R', 'N', 'I'],
+                ['845000000040484987', 'JP EPS', '3596,13'],
+            ])
+        );
+
+        expect(table.rows).toEqual([
+            ['845000000040484987', 'JP EPS', '3596,13'],
+        ]);
+    });
+
+    test('rejects files without rows and other formats', async () => {
+        await expect(
+            IPSBatch.readSpreadsheet(csvFile('R,N,I\n'))
+        ).rejects.toThrow('The file has no rows');
+        await expect(
+            IPSBatch.readSpreadsheet({ name: 'payments.txt', type: '' })
+        ).rejects.toThrow('Only CSV and XLSX files are supported');
+    });
+});
+
+describe('IPSBatch.guessMapping and buildRecord', () => {
+    test('maps known headers and fills the rest from fixed values', () => {
+        const mapping = IPSBatch.guessMapping([
+            ' Račun ',
+            'Naziv primaoca',
+            'Iznos',
+            'Napomena',
+        ]);
+
+        expect(mapping.R.column).toBe(0);
+        expect(mapping.N.column).toBe(1);
+        expect(mapping.I.column).toBe(2);
+        expect(mapping.S.column).toBeNull();
+
+        mapping.K.value = 'PR';
+        mapping.SF.value = '189';
+        mapping.I.value = '1,00';
+
+        expect(
+            IPSBatch.buildRecord(
+                ['845000000040484987', ' JP EPS\r\nBALKANSKA 13 ', '', 'x'],
+                mapping
+            )
+        ).toEqual({
+            K: 'PR',
+            R: '845000000040484987',
+            N: 'JP EPS\nBALKANSKA 13',
+            I: '1,00',
+            SF: '189',
+        });
+    });
+});
+
+describe('IPSBatch.validateRecord', () => {
+    test('normalizes a valid row into its payload', () => {
+        const result = IPSBatch.validateRecord({ ...VALID, M: '6012' });
+
+        expect(result).toEqual({
+            valid: true,
+            data: expect.objectContaining({
+                R: '845000000040484987',
+                I: 'RSD3596,13',
+            }),
+            // M is not a PR tag and stays out of the payload
+            text: 'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD\r\nBALKANSKA 13|I:RSD3596,13|SF:189',
+            errors: [],
+        });
+    });
+
+    test('collects every problem of a row, the amount once', () => {
+        const result = IPSBatch.validateRecord({
+            ...VALID,
+            R: '845000000040484988',
+            I: 'abc',
+        });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            'Only RSD amounts are supported',
+            'Account 845000000040484988 has wrong control digits, expected 87 (845000000040484987)',
+        ]);
+    });
+
+    test('reports missing required tags', () => {
+        const record = { ...VALID };
+        delete record.N;
+
+        const result = IPSBatch.validateRecord(record);
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([expect.stringContaining('N')]);
+    });
+});
+
+describe('IPSBatch.runQueue', () => {
+    test('keeps results in order with at most limit workers running', async () => {
+        let running = 0;
+        let busiest = 0;
+        const progress = [];
+
+        const results = await IPSBatch.runQueue(
+            [30, 10, 20, 0, 5],
+            2,
+            async (delay, index) => {
+                running++;
+                busiest = Math.max(busiest, running);
+                await new Promise((resolve) => setTimeout(resolve, delay));
+                running--;
+                if (index === 3) {
+                    throw new Error('row 4');
+                }
+                return index * 2;
+            },
+            (done, total) => progress.push(`${done}/${total}`)
+        );
+
+        expect(busiest).toBe(2);
+        expect(progress).toEqual(['1/5', '2/5', '3/5', '4/5', '5/5']);
+        expect(results.map((result) => result.value)).toEqual([
+            0,
+            2,
+            4,
+            undefined,
+            8,
+        ]);
+        expect(results[3]).toEqual({ ok: false, error: new Error('row 4') });
+    });
+});
+
+describe('IPSBatch.toCSV', () => {
+    test('quotes fields with separators, quotes and line breaks', () => {
+        expect(
+            IPSBatch.toCSV([
+                ['Row', 'N', 'Errors'],
+                [1, 'JP EPS\r\nBALKANSKA 13', 'a; b'],
+                [2, 'Say "hi"', null],
+            ])
+        ).toBe(
+            'Row,N,Errors\r\n1,"JP EPS\r\nBALKANSKA 13","a; b"\r\n2,"Say ""hi""",'
+        );
+    });
+
+    test.each([
+        ['=HYPERLINK("http://x","y")', `"'=HYPERLINK(""http://x"",""y"")"`],
+        ['+381 11 123', "'+381 11 123"],
+        ['-2+3', "'-2+3"],
+        ['@SUM(A1)', "'@SUM(A1)"],
+        ['\tcmd', "'\tcmd"],
+    ])('keeps %j from running as a formula', (cell, expected) => {
+        expect(IPSBatch.toCSV([[cell]])).toBe(expected);
+    });
+
+    test('leaves other cells alone', () => {
+        expect(IPSBatch.toCSV([['845-0000000404849-87', 'a=b', 12]])).toBe(
+            '845-0000000404849-87,a=b,12'
+        );
+    });
+});
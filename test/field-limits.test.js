@@ -0,0 +1,89 @@
+const FieldLimits = require('../assets/js/field-limits');
+const QREncoder = require('../assets/js/qr-encoder');
+const IPSQRParser = require('../assets/js/qr-parser');
+
+// A PT payload with N, S and RL at their character limits, in Cyrillic
+// unless other letters are given
+function payloadAtLimits(letters = ['Ж', 'Ш', 'Ч', 'Љ'], rlLength = 140) {
+    return [
+        'K:PT',
+        'V:01',
+        'C:1',
+        'R:845000000040484987',
+        `N:${letters[0].repeat(35)}\r\n${letters[1].repeat(35)}`,
+        'I:RSD100,00',
+        'SF:221',
+        `S:${letters[2].repeat(35)}`,
+        'M:5411',
+        `RL:${letters[3].repeat(rlLength)}`,
+    ].join('|');
+}
+
+describe('FieldLimits.measure', () => {
+    test('counts characters without line breaks and bytes with CR LF', () => {
+        expect(FieldLimits.measure('N', 'Ђура\nБеоград')).toMatchObject({
+            length: 11,
+            lines: 2,
+            bytes: 24,
+            tooLong: false,
+            tooManyLines: false,
+        });
+        expect(FieldLimits.measure('N', 'Đura\nBeograd', '2').bytes).toBe(13);
+    });
+
+    test('flags text over the character and line limits', () => {
+        expect(FieldLimits.checkText('S', 'x'.repeat(36))).toEqual([
+            expect.objectContaining({ code: 'tooLong', tag: 'S' }),
+        ]);
+        expect(FieldLimits.checkText('P', 'a\nb\nc\nd')).toEqual([
+            expect.objectContaining({ code: 'tooManyLines', tag: 'P' }),
+        ]);
+    });
+});
+
+describe('FieldLimits.checkPayload', () => {
+    test('uses the byte capacity of the largest allowed version at level M', () => {
+        expect(FieldLimits.MAX_PAYLOAD_BYTES).toBe(
+            QREncoder.getByteCapacity(
+                FieldLimits.MAX_VERSION,
+                QREncoder.DEFAULT_ECC
+            )
+        );
+    });
+
+    test('accepts Latin text at every tag limit', () => {
+        const payload = payloadAtLimits(['Z', 'S', 'C', 'L']);
+
+        expect(FieldLimits.checkPayload(payload, '1')).toEqual([]);
+        expect(IPSQRParser.check(payload).issues).toEqual([]);
+        expect(QREncoder.encode(payload).version).toBeLessThanOrEqual(
+            FieldLimits.MAX_VERSION
+        );
+    });
+
+    test('rejects Cyrillic text near the tag limits', () => {
+        const payload = payloadAtLimits();
+        const issue = expect.objectContaining({
+            code: 'payloadTooLarge',
+            params: { bytes: 562, max: 504 },
+        });
+
+        expect(FieldLimits.checkPayload(payload, '1')).toEqual([issue]);
+        expect(IPSQRParser.check(payload).issues).toEqual([issue]);
+        expect(QREncoder.encode(payload).version).toBeGreaterThan(
+            FieldLimits.MAX_VERSION
+        );
+
+        expect(
+            FieldLimits.checkPayload(payloadAtLimits(undefined, 110), '1')
+        ).toEqual([]);
+    });
+
+    test('counts bytes in the charset of the C tag', () => {
+        expect(FieldLimits.checkPayload('Ж'.repeat(252), '1')).toEqual([]);
+        expect(FieldLimits.checkPayload('Ж'.repeat(253), '1')).toEqual([
+            expect.objectContaining({ params: { bytes: 506, max: 504 } }),
+        ]);
+        expect(FieldLimits.checkPayload('Ž'.repeat(504), '2')).toEqual([]);
+    });
+});
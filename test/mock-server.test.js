@@ -0,0 +1,345 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { API_PATH, createMockServer } = require('../mock/server');
+
+const SAMPLE =
+    'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD\r\nBALKANSKA 13|I:RSD3596,13|SF:189|S:UPLATA PO RAČUNU ZA EL. ENERGIJU|RO:97163220000111111111000';
+
+const SAMPLE_TAGS = {
+    K: 'PR',
+    V: '01',
+    C: '1',
+    R: '845000000040484987',
+    N: 'JP EPS BEOGRAD\nBALKANSKA 13',
+    I: 'RSD3596,13',
+    SF: '189',
+};
+
+function request(port, method, route, body, headers = {}, timeout = 0) {
+    return new Promise((resolve, reject) => {
+        const outgoing = http.request(
+            {
+                host: '127.0.0.1',
+                port,
+                path: route,
+                method,
+                headers,
+                timeout,
+            },
+            (response) => {
+                const chunks = [];
+                response.on('data', (chunk) => chunks.push(chunk));
+                response.on('end', () =>
+                    resolve({
+                        status: response.statusCode,
+                        contentType: response.headers['content-type'],
+                        body: Buffer.concat(chunks),
+                    })
+                );
+            }
+        );
+        outgoing.on('timeout', () => {
+            outgoing.destroy();
+            resolve({ status: null });
+        });
+        outgoing.on('error', reject);
+        outgoing.end(body);
+    });
+}
+
+function post(port, route, body, contentType, timeout) {
+    return request(
+        port,
+        'POST',
+        `${API_PATH}${route}`,
+        body,
+        { 'Content-Type': contentType },
+        timeout
+    );
+}
+
+function validate(port, text = SAMPLE, route = '/validate?lang=en') {
+    return post(port, route, text, 'text/plain');
+}
+
+function gen(port, route = '/gen?lang=en', tags = SAMPLE_TAGS) {
+    return post(port, route, JSON.stringify(tags), 'application/json');
+}
+
+function control(port, query) {
+    return request(port, 'GET', `/__mock${query ? `/${query}` : ''}`);
+}
+
+function json(response) {
+    return JSON.parse(response.body.toString('utf8'));
+}
+
+// Width from the IHDR chunk of a PNG
+function pngWidth(buffer) {
+    return buffer.readUInt32BE(16);
+}
+
+function multipart(file) {
+    const boundary = 'mock-test-boundary';
+    const body = Buffer.concat([
+        Buffer.from(
+            `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="qr.png"\r\nContent-Type: image/png\r\n\r\n`
+        ),
+        file,
+        Buffer.from(`\r\n--${boundary}--\r\n`),
+    ]);
+    return { body, contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+function listen(options) {
+    const server = createMockServer(options);
+    return new Promise((resolve) =>
+        server.listen(0, '127.0.0.1', () => resolve(server))
+    );
+}
+
+function close(server) {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+}
+
+describe('mock server routes', () => {
+    let directory;
+    let server;
+    let port;
+
+    beforeAll(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-fixtures-'));
+        server = await listen({ fixtures: directory });
+        port = server.address().port;
+    });
+
+    afterAll(async () => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        await close(server);
+    });
+
+    test('validates payloads in the NBS response shape', async () => {
+        const valid = await validate(port);
+        expect(valid.status).toBe(200);
+        expect(json(valid)).toMatchObject({
+            s: { code: 0, desc: 'Validation successful' },
+            t: SAMPLE,
+            n: { K: 'PR', R: '845000000040484987' },
+        });
+
+        const invalid = await validate(
+            port,
+            SAMPLE.replace('RSD3596,13', 'RSD0,00'),
+            '/validate?lang=sr_RS_Latn'
+        );
+        expect(invalid.status).toBe(400);
+        expect(json(invalid).s).toEqual({
+            code: 1,
+            desc: 'Validacija neuspešna',
+        });
+        expect(json(invalid).e.length).toBeGreaterThan(0);
+    });
+
+    test('draws /gen images at the size in the path, up to the maximum', async () => {
+        const standard = await gen(port);
+        expect(standard.status).toBe(200);
+        expect(standard.contentType).toBe('image/png');
+        expect(pngWidth(standard.body)).toBe(300);
+
+        expect(pngWidth((await gen(port, '/gen/500?lang=en')).body)).toBe(500);
+        expect(pngWidth((await gen(port, '/gen/5000?lang=en')).body)).toBe(
+            1000
+        );
+    });
+
+    test('adds the image to /generate responses', async () => {
+        const response = await post(
+            port,
+            '/generate/200?lang=en',
+            SAMPLE,
+            'text/plain'
+        );
+        const body = json(response);
+        expect(body.s.code).toBe(0);
+        expect(pngWidth(Buffer.from(body.i, 'base64'))).toBe(200);
+    });
+
+    test('reads back images from /gen through /upload', async () => {
+        const image = (await gen(port)).body;
+        const upload = multipart(image);
+        const response = await post(
+            port,
+            '/upload?lang=en',
+            upload.body,
+            upload.contentType
+        );
+
+        expect(response.status).toBe(200);
+        expect(json(response).n).toMatchObject({
+            N: 'JP EPS BEOGRAD\r\nBALKANSKA 13',
+            I: 'RSD3596,13',
+        });
+    });
+
+    test('rejects uploads it did not draw and malformed /gen JSON', async () => {
+        const upload = multipart(Buffer.from('not a png'));
+        const foreign = await post(
+            port,
+            '/upload?lang=en',
+            upload.body,
+            upload.contentType
+        );
+        expect(foreign.status).toBe(400);
+
+        const broken = await post(port, '/gen', '{"K":', 'application/json');
+        expect(broken.status).toBe(400);
+        expect(json(broken).s.desc).toBe('Malformed JSON');
+    });
+
+    test('answers 404 outside the API routes and for GET requests', async () => {
+        expect((await post(port, '/unknown', '', 'text/plain')).status).toBe(
+            404
+        );
+        expect(
+            (await request(port, 'GET', `${API_PATH}/validate`)).status
+        ).toBe(404);
+    });
+});
+
+describe('mock server failure modes', () => {
+    let server;
+    let port;
+
+    beforeAll(async () => {
+        server = await listen({
+            fixtures: path.join(os.tmpdir(), 'mock-no-fixtures'),
+        });
+        port = server.address().port;
+    });
+
+    afterEach(() => control(port, 'reset'));
+
+    afterAll(() => close(server));
+
+    test.each(['500', '503'])(
+        'answers %s with an NBS error body',
+        async (mode) => {
+            await control(port, `failure?mode=${mode}`);
+            const response = await validate(port);
+
+            expect(response.status).toBe(Number(mode));
+            expect(json(response).s.code).toBe(Number(mode));
+        }
+    );
+
+    test('sends a truncated JSON body in malformed mode', async () => {
+        await control(port, 'failure?mode=malformed');
+        const response = await validate(port);
+
+        expect(response.status).toBe(200);
+        expect(() => json(response)).toThrow(SyntaxError);
+    });
+
+    test('never answers in timeout mode', async () => {
+        await control(port, 'failure?mode=timeout');
+        const response = await post(
+            port,
+            '/validate',
+            SAMPLE,
+            'text/plain',
+            300
+        );
+
+        expect(response.status).toBeNull();
+    });
+
+    test('fails only count requests to the chosen endpoint', async () => {
+        await control(port, 'failure?mode=503&count=2&endpoint=/validate');
+
+        expect((await gen(port)).status).toBe(200);
+        expect((await validate(port)).status).toBe(503);
+        expect((await validate(port)).status).toBe(503);
+        expect((await validate(port)).status).toBe(200);
+        expect(json(await control(port, '')).failure).toBe('none');
+    });
+
+    test('rejects unknown modes and returns to the startup options', async () => {
+        const unknown = await control(port, 'failure?mode=slow');
+        expect(unknown.status).toBe(400);
+        expect(json(unknown).modes).toContain('timeout');
+
+        await control(port, 'failure?mode=500&delay=10');
+        const state = json(await control(port, 'reset'));
+        expect(state).toMatchObject({ failure: 'none', delay: 0 });
+        expect((await validate(port)).status).toBe(200);
+    });
+});
+
+describe('mock server fixtures', () => {
+    let directory;
+    let upstream;
+    let recorder;
+    let replay;
+
+    beforeAll(async () => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-fixtures-'));
+        upstream = await listen({
+            fixtures: path.join(os.tmpdir(), 'mock-no-fixtures'),
+        });
+        recorder = await listen({
+            fixtures: directory,
+            record: `http://127.0.0.1:${upstream.address().port}${API_PATH}`,
+        });
+        replay = await listen({ fixtures: directory });
+    });
+
+    afterAll(async () => {
+        fs.rmSync(directory, { recursive: true, force: true });
+        await Promise.all([upstream, recorder, replay].map(close));
+    });
+
+    test('records answers with their source and replays them', async () => {
+        const recorded = await gen(recorder.address().port, '/gen/200?lang=en');
+        const files = fs.readdirSync(directory);
+        expect(files).toEqual([
+            expect.stringMatching(/^gen-200-en-[0-9a-f]{16}\.json$/),
+        ]);
+
+        const fixture = JSON.parse(
+            fs.readFileSync(path.join(directory, files[0]), 'utf8')
+        );
+        expect(fixture).toMatchObject({
+            source: `http://127.0.0.1:${upstream.address().port}${API_PATH}`,
+            endpoint: '/gen',
+            size: 200,
+            lang: 'en',
+            status: 200,
+            contentType: 'image/png',
+        });
+
+        // Mark the fixture, so an answer from the offline engine cannot
+        // pass for it
+        fixture.bodyBase64 = Buffer.from('fixture').toString('base64');
+        fs.writeFileSync(
+            path.join(directory, files[0]),
+            JSON.stringify(fixture)
+        );
+
+        const replayed = await gen(replay.address().port, '/gen/200?lang=en');
+        expect(recorded.contentType).toBe('image/png');
+        expect(replayed.contentType).toBe('image/png');
+        expect(replayed.body.toString()).toBe('fixture');
+
+        // Another size is another request
+        const other = await gen(replay.address().port, '/gen/300?lang=en');
+        expect(pngWidth(other.body)).toBe(300);
+    });
+});
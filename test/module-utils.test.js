@@ -0,0 +1,58 @@
+const ModuleUtils = require('../assets/js/module-utils');
+
+describe('ModuleUtils.message', () => {
+    test('fills the parameters of the fallback without i18n', () => {
+        expect(
+            ModuleUtils.message('amount.tooLong', 'At most {{max}} digits', {
+                max: 15,
+            })
+        ).toBe('At most 15 digits');
+        expect(ModuleUtils.message('amount.missing', undefined)).toBe('');
+    });
+
+    test('prefers the translation and falls back on a missing key', () => {
+        window.i18n = {
+            t: (key, params) =>
+                key === 'amount.tooLong' ? `Najviše ${params.max} cifara` : key,
+        };
+
+        expect(
+            ModuleUtils.message('amount.tooLong', 'At most {{max}} digits', {
+                max: 15,
+            })
+        ).toBe('Najviše 15 cifara');
+        expect(ModuleUtils.message('amount.other', 'Fallback')).toBe(
+            'Fallback'
+        );
+    });
+});
+
+describe('ModuleUtils.translator', () => {
+    test('looks up codes under the prefix with the given fallbacks', () => {
+        const translate = ModuleUtils.translator('amount', {
+            notPositive: 'Amount must be greater than zero',
+        });
+        expect(translate('notPositive')).toBe(
+            'Amount must be greater than zero'
+        );
+        expect(translate('unknown')).toBe('unknown');
+
+        window.i18n = { t: (key) => `[${key}]` };
+        expect(translate('notPositive')).toBe('[amount.notPositive]');
+    });
+});
+
+describe('ModuleUtils.loadModule', () => {
+    test('returns the global when present and requires it otherwise', () => {
+        const AccountNumber = ModuleUtils.loadModule(
+            'AccountNumber',
+            './account-number'
+        );
+        expect(typeof AccountNumber.normalize).toBe('function');
+        expect(window.AccountNumber).toBe(AccountNumber);
+
+        window.Stand = { id: 'stand-in' };
+        expect(ModuleUtils.loadModule('Stand', './missing')).toBe(window.Stand);
+        delete window.Stand;
+    });
+});
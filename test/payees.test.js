@@ -0,0 +1,105 @@
+const PayeeDirectory = require('../assets/js/payees');
+
+function payee(overrides = {}) {
+    return {
+        name: 'JP EPS BEOGRAD',
+        address: ['BALKANSKA 13', 'BEOGRAD'],
+        accounts: [{ account: '845-0000000404849-87' }],
+        defaults: { SF: '189', S: 'Struja', RO: '' },
+        ...overrides,
+    };
+}
+
+describe('PayeeDirectory.validate', () => {
+    test('accepts a payee within the N and S limits', () => {
+        const result = PayeeDirectory.validate(payee());
+
+        expect(result.errors).toEqual([]);
+        expect(result.payee.accounts[0].account).toBe('845000000040484987');
+    });
+
+    test('allows as many address lines as N has below the name', () => {
+        const result = PayeeDirectory.validate(
+            payee({ address: ['A', 'B', 'C'] })
+        );
+
+        expect(result.errors).toEqual(['At most 2 address lines are allowed']);
+        expect(result.payee.address).toEqual(['A', 'B']);
+    });
+
+    test('limits name and address to the N character limit', () => {
+        const result = PayeeDirectory.validate(
+            payee({ name: 'X'.repeat(50), address: ['Y'.repeat(21)] })
+        );
+
+        expect(result.errors).toEqual([
+            'Name and address together exceed 70 characters (71)',
+        ]);
+    });
+
+    test('limits the default purpose to the S character limit', () => {
+        const result = PayeeDirectory.validate(
+            payee({ defaults: { S: 'Z'.repeat(36) } })
+        );
+
+        expect(result.errors).toEqual(['Purpose exceeds 35 characters']);
+    });
+});
+
+describe('PayeeDirectory storage', () => {
+    // Storage that refuses writes while full is set
+    function storage(initial = {}) {
+        const items = { ...initial };
+        return {
+            full: false,
+            items,
+            getItem: (key) => (key in items ? items[key] : null),
+            setItem(key, value) {
+                if (this.full) {
+                    throw new Error('QuotaExceededError');
+                }
+                items[key] = value;
+            },
+        };
+    }
+
+    test('starts empty when the saved list cannot be read', () => {
+        const directory = new PayeeDirectory(
+            storage({ nbs_ips_payees: '{broken' })
+        );
+
+        expect(directory.list()).toEqual([]);
+    });
+
+    test('reports an add the storage refuses and keeps the list as saved', () => {
+        const store = storage();
+        const directory = new PayeeDirectory(store);
+        store.full = true;
+
+        const result = directory.add(payee());
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            'The payees could not be saved; the browser storage is full or blocked',
+        ]);
+        expect(directory.list()).toEqual([]);
+    });
+
+    test('undoes an update or removal the storage refuses', () => {
+        const store = storage();
+        const directory = new PayeeDirectory(store);
+        const { id } = directory.add(payee()).payee;
+        store.full = true;
+
+        expect(
+            directory.update(id, payee({ name: 'EPS SNABDEVANJE' })).valid
+        ).toBe(false);
+        expect(directory.get(id).name).toBe('JP EPS BEOGRAD');
+
+        expect(directory.remove(id)).toBe(false);
+        expect(directory.list().map((entry) => entry.id)).toEqual([id]);
+        expect(JSON.parse(store.items.nbs_ips_payees)).toEqual(
+            directory.list()
+        );
+    });
+});
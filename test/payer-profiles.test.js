@@ -0,0 +1,107 @@
+const PayerProfiles = require('../assets/js/payer-profiles');
+
+describe('PayerProfiles.validate', () => {
+    test('splits the P text into name and address', () => {
+        const result = PayerProfiles.validate({
+            text: 'Marko Petrović\nKnez Mihailova 12\nBeograd',
+        });
+
+        expect(result.errors).toEqual([]);
+        expect(result.profile).toMatchObject({
+            label: 'Marko Petrović',
+            name: 'Marko Petrović',
+            address: ['Knez Mihailova 12', 'Beograd'],
+        });
+    });
+
+    test('allows as many address lines as P has below the name', () => {
+        const result = PayerProfiles.validate({ text: 'A\nB\nC\nD' });
+
+        expect(result.errors).toEqual(['At most 2 address lines are allowed']);
+        expect(result.profile.address).toEqual(['B', 'C']);
+    });
+
+    test('limits name and address to the P character limit', () => {
+        const result = PayerProfiles.validate({
+            text: `${'X'.repeat(40)}\n${'Y'.repeat(31)}`,
+        });
+
+        expect(result.errors).toEqual([
+            'Name and address together exceed 70 characters (71)',
+        ]);
+    });
+
+    test('requires a name', () => {
+        expect(PayerProfiles.validate({ text: ' ' }).errors).toEqual([
+            'Payer name is required',
+        ]);
+    });
+});
+
+describe('PayerProfiles storage', () => {
+    // Storage that refuses writes while full is set
+    function storage(initial = {}) {
+        const items = { ...initial };
+        return {
+            full: false,
+            items,
+            getItem: (key) => (key in items ? items[key] : null),
+            setItem(key, value) {
+                if (this.full) {
+                    throw new Error('QuotaExceededError');
+                }
+                items[key] = value;
+            },
+        };
+    }
+
+    test('starts empty when the saved list cannot be read', () => {
+        const profiles = new PayerProfiles(
+            storage({ nbs_ips_payers: '{broken' })
+        );
+
+        expect(profiles.list()).toEqual([]);
+    });
+
+    test('reports an add the storage refuses and keeps the default', () => {
+        const store = storage();
+        const profiles = new PayerProfiles(store);
+        profiles.add({
+            label: 'Home',
+            text: 'Marko Marković\nBulevar 1',
+            isDefault: true,
+        });
+        const saved = profiles.list().map((profile) => ({ ...profile }));
+        store.full = true;
+
+        const result = profiles.add({
+            label: 'Company',
+            text: 'Primer DOO',
+            isDefault: true,
+        });
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([
+            'The payer profiles could not be saved; the browser storage is full or blocked',
+        ]);
+        expect(profiles.list()).toEqual(saved);
+        expect(profiles.getDefault().id).toBe(saved[0].id);
+    });
+
+    test('undoes an update, removal or default the storage refuses', () => {
+        const store = storage();
+        const profiles = new PayerProfiles(store);
+        const { id } = profiles.add({ label: 'Home', text: 'Marko' }).profile;
+        store.full = true;
+
+        expect(
+            profiles.update(id, { label: 'Work', text: 'Marko' }).valid
+        ).toBe(false);
+        expect(profiles.setDefault(id)).toBe(false);
+        expect(profiles.remove(id)).toBe(false);
+        expect(profiles.list()).toEqual([
+            expect.objectContaining({ id, label: 'Home', isDefault: false }),
+        ]);
+        expect(JSON.parse(store.items.nbs_ips_payers)).toEqual(profiles.list());
+    });
+});
@@ -0,0 +1,162 @@
+const PaymentCard = require('../assets/js/payment-card');
+
+const PAYLOAD =
+    'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD\r\nBALKANSKA 13|I:RSD3596,13|SF:189|S:UPLATA|RO:97163220000111111111000';
+
+const FORM = {
+    N: ' JP EPS BEOGRAD\nBALKANSKA 13 ',
+    R: '845000000040484987',
+    I: '3596,13',
+    S: 'UPLATA PO RAČUNU ZA EL. ENERGIJU',
+    RO: '97163220000111111111000',
+};
+
+// A 2D context that records the text drawn; every character is 10 px wide
+function recordingContext() {
+    return {
+        texts: [],
+        measureText: (text) => ({ width: text.length * 10 }),
+        fillText(text) {
+            this.texts.push(text);
+        },
+        fillRect() {},
+        scale() {},
+        save() {},
+        restore() {},
+        setTransform() {},
+    };
+}
+
+describe('PaymentCard.fromFormData', () => {
+    test('formats the account, amount and reference as printed', () => {
+        expect(PaymentCard.fromFormData(FORM, PAYLOAD)).toEqual({
+            recipient: 'JP EPS BEOGRAD\nBALKANSKA 13',
+            account: '845-0000000404849-87',
+            amount: '3.596,13 RSD',
+            purpose: 'UPLATA PO RAČUNU ZA EL. ENERGIJU',
+            reference: '97 163220000111111111000',
+            payload: PAYLOAD,
+        });
+    });
+
+    test('leaves missing fields blank', () => {
+        expect(PaymentCard.fromFormData({ RO: '97' }, '')).toMatchObject({
+            recipient: '',
+            amount: '',
+            reference: '97',
+        });
+    });
+});
+
+describe('PaymentCard.toText', () => {
+    test('lists the filled fields under the title, one line each', () => {
+        const card = PaymentCard.fromFormData({ ...FORM, S: '' }, PAYLOAD);
+
+        expect(PaymentCard.toText(card)).toBe(
+            [
+                'IPS payment',
+                'Recipient: JP EPS BEOGRAD, BALKANSKA 13',
+                'Account: 845-0000000404849-87',
+                'Amount: 3.596,13 RSD',
+                'Reference: 97 163220000111111111000',
+            ].join('\n')
+        );
+    });
+
+    test('uses the labels of the active language', () => {
+        window.i18n = {
+            t: (key) =>
+                ({
+                    'generator.card.title': 'IPS plaćanje',
+                    'generator.card.amount': 'Iznos',
+                })[key] || key,
+        };
+
+        expect(
+            PaymentCard.toText({ amount: '1,00 RSD', payload: PAYLOAD })
+        ).toBe('IPS plaćanje\nIznos: 1,00 RSD');
+    });
+});
+
+describe('PaymentCard.render', () => {
+    let context;
+
+    beforeEach(() => {
+        context = recordingContext();
+        jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(
+            context
+        );
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('wraps long values and grows the card to fit them', () => {
+        const card = PaymentCard.fromFormData(FORM, PAYLOAD);
+        const short = PaymentCard.render({ ...card, purpose: 'UPLATA' });
+        const long = PaymentCard.render({
+            ...card,
+            purpose: 'UPLATA '.repeat(20).trim(),
+        });
+
+        expect(short.width).toBe(PaymentCard.WIDTH * PaymentCard.SCALE);
+        expect(long.height).toBeGreaterThan(short.height);
+        // 432 px of text at 10 px a character: six words a line
+        expect(context.texts.filter((text) => /^UPLATA/.test(text))).toEqual([
+            'UPLATA',
+            'UPLATA UPLATA UPLATA UPLATA UPLATA UPLATA',
+            'UPLATA UPLATA UPLATA UPLATA UPLATA UPLATA',
+            'UPLATA UPLATA UPLATA UPLATA UPLATA UPLATA',
+            'UPLATA UPLATA',
+        ]);
+        expect(context.texts).toContain('BALKANSKA 13');
+        expect(context.texts[context.texts.length - 1]).toBe(
+            "Scan with your bank's mobile app"
+        );
+    });
+});
+
+describe('PaymentCard.toBlob', () => {
+    beforeEach(() => {
+        jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(
+            recordingContext()
+        );
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('resolves with the PNG of the card', async () => {
+        const blob = new Blob(['png'], { type: 'image/png' });
+        jest.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(
+            (callback, type) => callback(type === 'image/png' ? blob : null)
+        );
+
+        await expect(
+            PaymentCard.toBlob(PaymentCard.fromFormData(FORM, PAYLOAD))
+        ).resolves.toBe(blob);
+    });
+
+    test('rejects with a translated message when the canvas gives nothing', async () => {
+        jest.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(
+            (callback) => callback(null)
+        );
+        const card = PaymentCard.fromFormData(FORM, PAYLOAD);
+
+        await expect(PaymentCard.toBlob(card)).rejects.toThrow(
+            'Could not draw the card'
+        );
+
+        window.i18n = {
+            t: (key) =>
+                key === 'generator.card.errors.drawFailed'
+                    ? 'Kartica nije mogla da se nacrta'
+                    : key,
+        };
+        await expect(PaymentCard.toBlob(card)).rejects.toThrow(
+            'Kartica nije mogla da se nacrta'
+        );
+    });
+});
@@ -0,0 +1,145 @@
+const PaymentSlip = require('../assets/js/payment-slip');
+
+const PAYLOAD =
+    'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD\r\nBALKANSKA 13|I:RSD3596,13|SF:189|S:UPLATA|RO:97163220000111111111000';
+
+const FORM = {
+    P: ' Marko Marković ',
+    S: 'UPLATA',
+    N: 'JP EPS BEOGRAD\nBALKANSKA 13',
+    SF: '189',
+    I: '3596,13',
+    R: '845000000040484987',
+    RO: '97163220000111111111000',
+};
+
+function parse(html) {
+    return new DOMParser().parseFromString(html, 'text/html');
+}
+
+// Text of the box under each label of a slip
+function fields(slip) {
+    const values = {};
+    slip.querySelectorAll('.label').forEach((label) => {
+        values[label.textContent] = label.nextElementSibling.textContent;
+    });
+    return values;
+}
+
+describe('PaymentSlip.formatAmount', () => {
+    test.each([
+        ['3596,13', '3.596,13'],
+        ['1234567,5', '1.234.567,50'],
+        ['RSD1000,', '1.000,00'],
+        ['0,5', '0,50'],
+    ])('prints %s as %s', (value, printed) => {
+        expect(PaymentSlip.formatAmount(value)).toBe(printed);
+    });
+
+    test('leaves invalid and missing amounts blank', () => {
+        expect(PaymentSlip.formatAmount('abc')).toBe('');
+        expect(PaymentSlip.formatAmount('')).toBe('');
+        expect(PaymentSlip.formatAmount(undefined)).toBe('');
+    });
+});
+
+describe('PaymentSlip.fromFormData', () => {
+    test('fills the slip fields and splits the model off the reference', () => {
+        expect(PaymentSlip.fromFormData(FORM, PAYLOAD)).toEqual({
+            payer: 'Marko Marković',
+            purpose: 'UPLATA',
+            recipient: 'JP EPS BEOGRAD\nBALKANSKA 13',
+            paymentCode: '189',
+            currency: 'RSD',
+            amount: '3.596,13',
+            account: '845-0000000404849-87',
+            model: '97',
+            reference: '163220000111111111000',
+            payload: PAYLOAD,
+        });
+    });
+
+    test('leaves missing fields blank', () => {
+        expect(PaymentSlip.fromFormData({}, '')).toMatchObject({
+            payer: '',
+            amount: '',
+            account: '',
+            model: '',
+            reference: '',
+        });
+    });
+});
+
+describe('PaymentSlip.render', () => {
+    const slip = PaymentSlip.fromFormData(FORM, PAYLOAD);
+
+    test('prints the fields under their labels with the QR code', () => {
+        const page = parse(PaymentSlip.render([slip]));
+        const [printed] = page.querySelectorAll('.slip');
+
+        expect(fields(printed)).toMatchObject({
+            uplatilac: 'Marko Marković',
+            'šifra plaćanja': '189',
+            iznos: '3.596,13',
+            'račun primaoca': '845-0000000404849-87',
+            'broj modela': '97',
+            'poziv na broj (odobrenje)': '163220000111111111000',
+        });
+        expect(printed.querySelector('.qr svg')).not.toBeNull();
+        expect(page.title).toBe('NALOG ZA UPLATU');
+    });
+
+    test.each([
+        [undefined, [3, 2]],
+        [2, [2, 2, 1]],
+        ['1', [1, 1, 1, 1, 1]],
+        [7, [3, 2]],
+        [0, [3, 2]],
+    ])('stacks slips %s to a page', (perPage, counts) => {
+        const page = parse(
+            PaymentSlip.render(Array(5).fill({ ...slip, payload: '' }), {
+                perPage,
+            })
+        );
+
+        expect(
+            Array.from(
+                page.querySelectorAll('.page'),
+                (sheet) => sheet.querySelectorAll('.slip').length
+            )
+        ).toEqual(counts);
+    });
+
+    test('escapes field values and leaves out the code without a payload', () => {
+        const page = parse(
+            PaymentSlip.render([
+                { ...slip, payer: '<img src=x onerror=alert(1)>', payload: '' },
+            ])
+        );
+
+        expect(page.querySelector('img')).toBeNull();
+        expect(fields(page).uplatilac).toBe('<img src=x onerror=alert(1)>');
+        expect(page.querySelector('.qr').innerHTML).toBe('');
+    });
+
+    test('prints Cyrillic labels for the Cyrillic language', () => {
+        window.i18n = { currentLanguage: 'sr_RS', t: (key) => key };
+
+        const page = parse(PaymentSlip.render([slip]));
+
+        expect(page.title).toBe('НАЛОГ ЗА УПЛАТУ');
+        expect(fields(page)).toMatchObject({ уплатилац: 'Marko Marković' });
+    });
+});
+
+describe('PaymentSlip.print', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('returns false when the browser blocks the window', () => {
+        jest.spyOn(window, 'open').mockReturnValue(null);
+
+        expect(PaymentSlip.print([])).toBe(false);
+    });
+});
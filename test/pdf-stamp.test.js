@@ -0,0 +1,206 @@
+const PDFStamp = require('../assets/js/pdf-stamp');
+
+// The parts of a pdf-lib PDFPage that pageFrame reads
+function page(crop, angle) {
+    return {
+        getCropBox: () => crop,
+        getRotation: () => ({ angle }),
+    };
+}
+
+const CROP = { x: 30, y: 40, width: 500, height: 700 };
+
+describe('PDFStamp.pageFrame', () => {
+    test('measures from the top-left corner of the crop box', () => {
+        const frame = PDFStamp.pageFrame(page(CROP, 0));
+
+        expect(frame).toMatchObject({ width: 500, height: 700, rotation: 0 });
+        expect(frame.toUserSpace(0, 0)).toEqual({ x: 30, y: 740 });
+        expect(frame.toUserSpace(500, 700)).toEqual({ x: 530, y: 40 });
+    });
+
+    test.each([
+        [90, { x: 30, y: 40 }, { x: 530, y: 740 }],
+        [180, { x: 530, y: 40 }, { x: 30, y: 740 }],
+        [270, { x: 530, y: 740 }, { x: 30, y: 40 }],
+        [-90, { x: 530, y: 740 }, { x: 30, y: 40 }],
+    ])(
+        'turns the crop box clockwise by /Rotate %i',
+        (angle, topLeft, bottomRight) => {
+            const frame = PDFStamp.pageFrame(page(CROP, angle));
+            const turned = angle % 180 !== 0;
+
+            expect(frame.width).toBe(turned ? 700 : 500);
+            expect(frame.height).toBe(turned ? 500 : 700);
+            expect(frame.toUserSpace(0, 0)).toEqual(topLeft);
+            expect(frame.toUserSpace(frame.width, frame.height)).toEqual(
+                bottomRight
+            );
+        }
+    );
+});
+
+describe('PDFStamp.placement', () => {
+    test('places the code in a corner of the visible page', () => {
+        const box = PDFStamp.placement(700, 500, {
+            position: 'bottom-right',
+            size: 30,
+            margin: 10,
+        });
+
+        expect(box.left).toBeCloseTo(700 - 40 * PDFStamp.MM);
+        expect(box.top).toBeCloseTo(500 - 40 * PDFStamp.MM);
+        expect(box.fits).toBe(true);
+    });
+
+    test('reports a code that does not fit', () => {
+        expect(
+            PDFStamp.placement(100, 100, {
+                position: 'top-left',
+                size: 40,
+                margin: 10,
+            }).fits
+        ).toBe(false);
+    });
+});
+
+const PAYLOAD =
+    'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD\r\nBALKANSKA 13|I:RSD3596,13|SF:189|S:UPLATA PO RAČUNU ZA EL. ENERGIJU';
+
+describe('PDFStamp.findPayload', () => {
+    test('joins the lines of a multi-line N back into the payload', () => {
+        const text = [
+            'Račun br. 12/2026',
+            'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD',
+            'BALKANSKA 13|I:RSD3596,13|SF:189|S:UPLATA PO RAČUNU ZA EL. ENERGIJU',
+            'Hvala na poverenju',
+        ].join('\n');
+
+        expect(PDFStamp.findPayload(text)).toBe(PAYLOAD);
+    });
+
+    test('returns a payload printed on one line as it is', () => {
+        const payload =
+            'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD|I:RSD100,00|SF:189';
+
+        expect(PDFStamp.findPayload(`Uplata\n  ${payload}  \nPotpis`)).toBe(
+            payload
+        );
+    });
+
+    test('skips payloads that do not validate', () => {
+        const broken =
+            'K:PR|V:01|C:1|R:845000000040484988|N:JP EPS BEOGRAD|I:RSD100,00|SF:189';
+        const valid = broken.replace('484988', '484987');
+
+        expect(PDFStamp.findPayload(`${broken}\n${valid}`)).toBe(valid);
+    });
+
+    test('returns null unless a payload validates', () => {
+        expect(
+            PDFStamp.findPayload(
+                'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD\nBALKANSKA 13'
+            )
+        ).toBeNull();
+        expect(PDFStamp.findPayload('Račun bez QR koda')).toBeNull();
+        expect(PDFStamp.findPayload('')).toBeNull();
+    });
+});
+
+describe('PDFStamp.stamp', () => {
+    const { PDFDocument, degrees } = require('pdf-lib');
+    const zlib = require('zlib');
+
+    // Two A4 pages; the second one turned by /Rotate when angle is given
+    async function invoice(angle = 0) {
+        const pdf = await PDFDocument.create();
+        pdf.addPage([595, 842]);
+        pdf.addPage([595, 842]).setRotation(degrees(angle));
+        return pdf.save();
+    }
+
+    // Content stream operators of a page, decompressed
+    function content(page) {
+        const streams = page.node.normalizedEntries().Contents;
+        if (!streams) {
+            return '';
+        }
+        return Array.from({ length: streams.size() }, (value, index) => {
+            const data = Buffer.from(streams.lookup(index).getContents());
+            try {
+                return zlib.inflateSync(data).toString('latin1');
+            } catch (error) {
+                return data.toString('latin1');
+            }
+        }).join('\n');
+    }
+
+    // Matrices of the cm operators: the first is where the white square
+    // goes, the second turns it with the page
+    function transforms(text) {
+        return Array.from(
+            text.matchAll(/^(\S+ \S+ \S+ \S+ \S+ \S+) cm$/gm),
+            (match) => match[1].split(' ').map(Number)
+        );
+    }
+
+    beforeEach(() => {
+        window.PDFLib = require('pdf-lib');
+    });
+
+    afterEach(() => {
+        delete window.PDFLib;
+    });
+
+    test('draws the code on the chosen page only', async () => {
+        const stamped = await PDFDocument.load(
+            await PDFStamp.stamp(await invoice(), PAYLOAD, { page: 'last' })
+        );
+        const [first, last] = stamped.getPages();
+        const [square] = transforms(content(last));
+
+        expect(stamped.getPageCount()).toBe(2);
+        expect(transforms(content(first))).toEqual([]);
+        // 30 mm square 10 mm from the bottom-right corner
+        expect(square[4]).toBeCloseTo(595 - 40 * PDFStamp.MM);
+        expect(square[5]).toBeCloseTo(10 * PDFStamp.MM);
+        expect(content(last)).toContain(`0 ${30 * PDFStamp.MM} l`);
+    });
+
+    test('turns the code with a rotated page', async () => {
+        const stamped = await PDFDocument.load(
+            await PDFStamp.stamp(await invoice(90), PAYLOAD, { page: 2 })
+        );
+        const [square, rotation] = transforms(content(stamped.getPage(1)));
+
+        // The bottom-right corner of the turned page is the top-right corner
+        // of the unturned one
+        expect(square[4]).toBeCloseTo(595 - 10 * PDFStamp.MM);
+        expect(square[5]).toBeCloseTo(842 - 40 * PDFStamp.MM);
+        expect(rotation.map((value) => Math.round(value))).toEqual([
+            0, 1, -1, 0, 0, 0,
+        ]);
+    });
+
+    test('rejects unreadable files, missing pages and codes that do not fit', async () => {
+        const bytes = await invoice();
+
+        await expect(
+            PDFStamp.stamp(new Uint8Array([1, 2, 3]), PAYLOAD)
+        ).rejects.toThrow('The file is not a readable PDF');
+        await expect(
+            PDFStamp.stamp(bytes, PAYLOAD, { page: 5 })
+        ).rejects.toThrow('The PDF has no page 5');
+        await expect(
+            PDFStamp.stamp(bytes, PAYLOAD, { size: 300 })
+        ).rejects.toThrow('The QR code does not fit on page 1');
+    });
+
+    test('needs pdf-lib', async () => {
+        delete window.PDFLib;
+
+        await expect(PDFStamp.stamp(await invoice(), PAYLOAD)).rejects.toThrow(
+            'The PDF writer (pdf-lib) is not loaded'
+        );
+    });
+});
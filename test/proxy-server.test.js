@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { createProxyServer } = require('../proxy/server');
+
+const ACCOUNT = '845000000040484987';
+const RESULTS = fs.readFileSync(
+    path.join(__dirname, 'fixtures', 'register-results.html'),
+    'utf8'
+);
+
+function get(port, route) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: route }, (response) => {
+            const chunks = [];
+            response.on('data', (chunk) => chunks.push(chunk));
+            response.on('end', () =>
+                resolve({
+                    status: response.statusCode,
+                    body: JSON.parse(Buffer.concat(chunks).toString('utf8')),
+                })
+            );
+        }).on('error', reject);
+    });
+}
+
+function listen(server) {
+    return new Promise((resolve) =>
+        server.listen(0, '127.0.0.1', () => resolve(server))
+    );
+}
+
+function close(server) {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+}
+
+describe('proxy /account', () => {
+    let register;
+    let proxy;
+    let port;
+    let requests;
+    let answer;
+
+    beforeAll(async () => {
+        register = await listen(
+            http.createServer((req, res) => {
+                requests.push(req.url);
+                answer(res);
+            })
+        );
+        const origin = `http://127.0.0.1:${register.address().port}`;
+        proxy = await listen(
+            createProxyServer({ register: origin, api: origin, cache: 0 })
+        );
+        port = proxy.address().port;
+    });
+
+    beforeEach(() => {
+        requests = [];
+        answer = (res) => {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(RESULTS);
+        };
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await close(proxy);
+        await close(register);
+    });
+
+    test('answers with the accounts parsed from the register page', async () => {
+        const response = await get(port, `/account/845-0000000404849-87`);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            account: ACCOUNT,
+            cached: false,
+        });
+        expect(response.body.accounts).toHaveLength(3);
+        expect(requests).toEqual([
+            expect.stringContaining('BankCode=845&AccountNumber=0000000404849'),
+        ]);
+    });
+
+    test.each([
+        ['a broken percent-encoding', '%E0%A4%A'],
+        ['a wrong control number', '845000000040484988'],
+        ['letters', 'not-an-account'],
+    ])(
+        'rejects %s with 400 before asking the register',
+        async (label, number) => {
+            const response = await get(port, `/account/${number}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('invalidAccount');
+            expect(requests).toEqual([]);
+        }
+    );
+
+    test('rejects searches the register would not run', async () => {
+        const empty = await get(port, '/account');
+        expect(empty.status).toBe(400);
+        expect(empty.body.error).toBe('emptySearch');
+
+        const taxId = await get(port, '/account?taxId=12%2034');
+        expect(taxId.status).toBe(400);
+        expect(taxId.body.error).toBe('invalidTaxId');
+
+        expect(requests).toEqual([]);
+    });
+
+    test('answers 502 when the register fails', async () => {
+        answer = (res) => {
+            res.writeHead(500);
+            res.end('Internal Server Error');
+        };
+
+        const response = await get(port, `/account/${ACCOUNT}`);
+
+        expect(response.status).toBe(502);
+        expect(response.body).toEqual({
+            error: 'registerUnavailable',
+            message: 'Register responded with HTTP 500',
+        });
+    });
+
+    test('answers 502 when the register cannot be reached', async () => {
+        const unreachable = await listen(
+            createProxyServer({ register: 'http://127.0.0.1:1', cache: 0 })
+        );
+
+        try {
+            const response = await get(
+                unreachable.address().port,
+                `/account?name=EPS`
+            );
+
+            expect(response.status).toBe(502);
+            expect(response.body.error).toBe('registerUnavailable');
+        } finally {
+            await close(unreachable);
+        }
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * @jest-environment node
+ */
+
+const crypto = require('crypto');
+const jsQR = require('jsqr');
+
+const QREncoder = require('../assets/js/qr-encoder');
+
+const SAMPLE =
+    'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD\r\nBALKANSKA 13|I:RSD3596,13|SF:189|S:UPLATA PO RAČUNU ZA EL. ENERGIJU|RO:97163220000111111111000';
+
+// Rows of a matrix, # for dark modules
+function rows(qr) {
+    return qr.modules.map((row) =>
+        row.map((dark) => (dark ? '#' : '.')).join('')
+    );
+}
+
+// RGBA pixels of a code with a four-module quiet zone, as jsQR reads them
+function toImage(qr, scale = 4) {
+    const width = (qr.size + 8) * scale;
+    const data = new Uint8ClampedArray(width * width * 4).fill(255);
+    qr.modules.forEach((row, y) =>
+        row.forEach((dark, x) => {
+            if (!dark) {
+                return;
+            }
+            for (let dy = 0; dy < scale; dy++) {
+                for (let dx = 0; dx < scale; dx++) {
+                    const offset =
+                        ((y + 4) * scale + dy) * width + (x + 4) * scale + dx;
+                    data.fill(0, offset * 4, offset * 4 + 3);
+                }
+            }
+        })
+    );
+    return { data, width };
+}
+
+function decode(qr) {
+    const { data, width } = toImage(qr);
+    const result = jsQR(data, width, width);
+    return result && Buffer.from(result.binaryData).toString('utf8');
+}
+
+describe('QREncoder.encode', () => {
+    // Reference matrices from node-qrcode 1.5.4 for the same byte-mode
+    // segment at level M
+    test('draws the known matrix of a version 1 code', () => {
+        const qr = QREncoder.encode('K:PR|V:01|C:1');
+
+        expect(qr).toMatchObject({ version: 1, ecc: 'M', mask: 0, size: 21 });
+        expect(rows(qr)).toEqual([
+            '#######..#..#.#######',
+            '#.....#.#####.#.....#',
+            '#.###.#..#.#..#.###.#',
+            '#.###.#..####.#.###.#',
+            '#.###.#.#...#.#.###.#',
+            '#.....#...#.#.#.....#',
+            '#######.#.#.#.#######',
+            '...........##........',
+            '#.#.#.#....#....#..#.',
+            '#..#.#....##.#..###.#',
+            '#...###..##.#.#.#...#',
+            '##.#.#.......#.##...#',
+            '##.#.##.#...##...##..',
+            '........###.##..##.#.',
+            '#######...#.###.#.###',
+            '#.....#..#.##..##....',
+            '#.###.#.#....#.#####.',
+            '#.###.#..##.#.#..#.#.',
+            '#.###.#.###.#.###...#',
+            '#.....#.....#..#...#.',
+            '#######.###.#.##.#.##',
+        ]);
+    });
+
+    test('draws the known matrix of the sample payload, version bits included', () => {
+        const qr = QREncoder.encode(SAMPLE);
+
+        expect(qr).toMatchObject({ version: 8, mask: 4, size: 49 });
+        expect(
+            crypto
+                .createHash('sha256')
+                .update(rows(qr).join('\n'))
+                .digest('hex')
+        ).toBe(
+            'd4a0a096c5dfcd5b518e181b492e3b50948cee09a7f8e4f0f80ac50ff7e30d5f'
+        );
+    });
+
+    test('picks the smallest version that holds the UTF-8 bytes', () => {
+        // Ђ takes two bytes; version 1 at level M holds 14
+        expect(QREncoder.encode('Ђ'.repeat(7)).version).toBe(1);
+        expect(QREncoder.encode('Ђ'.repeat(8)).version).toBe(2);
+        expect(QREncoder.encode('x'.repeat(504)).version).toBe(17);
+        expect(QREncoder.encode('x'.repeat(505)).version).toBe(18);
+        expect(QREncoder.encode(SAMPLE, { ecc: 'L' }).version).toBe(7);
+        expect(QREncoder.encode(SAMPLE, { ecc: 'H' }).version).toBe(12);
+    });
+
+    test('rejects text beyond version 40 and unknown levels', () => {
+        expect(QREncoder.encode('x'.repeat(2331)).version).toBe(40);
+        expect(() => QREncoder.encode('x'.repeat(2332))).toThrow(
+            'Text is too long to fit in a QR code'
+        );
+        expect(() => QREncoder.encode('x', { ecc: 'X' })).toThrow(
+            'Unknown error correction level: X'
+        );
+    });
+
+    test.each(['M', 'L', 'Q', 'H'])(
+        'draws codes jsQR reads back at level %s',
+        (ecc) => {
+            expect(decode(QREncoder.encode(SAMPLE, { ecc }))).toBe(SAMPLE);
+        }
+    );
+
+    test('draws Cyrillic payloads jsQR reads back', () => {
+        const payload = SAMPLE.replace('JP EPS BEOGRAD', 'ЈП ЕПС БЕОГРАД');
+
+        expect(decode(QREncoder.encode(payload))).toBe(payload);
+    });
+});
+
+describe('QREncoder.getByteCapacity', () => {
+    // Byte mode capacities from the ISO/IEC 18004 tables
+    test.each([
+        [1, 'M', 14],
+        [2, 'M', 26],
+        [10, 'M', 213],
+        [17, 'M', 504],
+        [40, 'M', 2331],
+        [40, 'L', 2953],
+    ])('holds %i-%s: %i bytes', (version, ecc, bytes) => {
+        expect(QREncoder.getByteCapacity(version, ecc)).toBe(bytes);
+    });
+});
+
+describe('QREncoder.getErrorCorrectionBudget', () => {
+    test.each([
+        [1, 'M', 26, 5],
+        [8, 'M', 242, 44],
+        [40, 'H', 3706, 1215],
+    ])(
+        'version %i-%s has %i codewords, %i of them correctable',
+        (version, ecc, codewords, correctable) => {
+            expect(
+                QREncoder.getErrorCorrectionBudget({ version, ecc })
+            ).toEqual({ codewords, correctable });
+        }
+    );
+});
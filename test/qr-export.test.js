@@ -0,0 +1,221 @@
+const zlib = require('zlib');
+const jsQR = require('jsqr');
+
+const QREncoder = require('../assets/js/qr-encoder');
+const QRExport = require('../assets/js/qr-export');
+
+const PAYLOAD =
+    'K:PR|V:01|C:1|R:845000000040484987|N:JP EPS BEOGRAD\r\nBALKANSKA 13|I:RSD3596,13|SF:189';
+
+// RGBA pixels of a laid-out code, the badge square left blank
+function toImage(box, scale = 4) {
+    const width = box.width * scale;
+    const data = new Uint8ClampedArray(width * width * 4).fill(255);
+    const offset = box.code.x + box.settings.margin;
+    const covered = (x, y) =>
+        box.logo &&
+        x >= box.logo.x &&
+        x < box.logo.x + box.logo.size &&
+        y >= box.logo.y &&
+        y < box.logo.y + box.logo.size;
+
+    box.qr.modules.forEach((row, y) =>
+        row.forEach((dark, x) => {
+            if (!dark || covered(x + offset, y + offset)) {
+                return;
+            }
+            for (let dy = 0; dy < scale; dy++) {
+                for (let dx = 0; dx < scale; dx++) {
+                    const pixel =
+                        ((y + offset) * scale + dy) * width +
+                        (x + offset) * scale +
+                        dx;
+                    data.fill(0, pixel * 4, pixel * 4 + 3);
+                }
+            }
+        })
+    );
+    return { data, width };
+}
+
+describe('QRExport.contrastRatio', () => {
+    test('follows the WCAG formula', () => {
+        expect(QRExport.contrastRatio('#000', '#ffffff')).toBe(21);
+        expect(QRExport.contrastRatio('#ffffff', '#000000')).toBe(21);
+        expect(QRExport.contrastRatio('#777777', '#ffffff')).toBeCloseTo(
+            4.48,
+            2
+        );
+        expect(QRExport.contrastRatio('#123456', '#123456')).toBe(1);
+    });
+});
+
+describe('QRExport.checkStyle', () => {
+    test('accepts the defaults', () => {
+        expect(QRExport.checkStyle()).toEqual([]);
+    });
+
+    test('stops light codes on dark and low contrast', () => {
+        expect(
+            QRExport.checkStyle({ foreground: '#fff', background: '#000' })
+        ).toEqual([
+            expect.objectContaining({ code: 'inverted', level: 'error' }),
+        ]);
+        expect(QRExport.checkStyle({ foreground: '#888888' })).toEqual([
+            {
+                code: 'lowContrast',
+                level: 'error',
+                params: { ratio: '3.5', min: 4.5 },
+                message: 'Contrast 3.5:1 is below 4.5:1; the code may not scan',
+            },
+        ]);
+    });
+
+    test('names each colour that is not #rrggbb', () => {
+        expect(
+            QRExport.checkStyle({ foreground: 'red', background: '#ffff' }).map(
+                (issue) => issue.message
+            )
+        ).toEqual([
+            'Colour red is not a #rrggbb value',
+            'Colour #ffff is not a #rrggbb value',
+        ]);
+    });
+
+    test('warns about a quiet zone under four modules', () => {
+        expect(QRExport.checkStyle({ margin: 2 })).toEqual([
+            expect.objectContaining({ code: 'quietZone', level: 'warning' }),
+        ]);
+        expect(QRExport.checkStyle({ margin: 'x' })).toEqual([]);
+    });
+
+    test('translates messages through i18n', () => {
+        window.i18n = {
+            t: (key, params) =>
+                key === 'generator.export.errors.quietZone'
+                    ? `Tiha zona manja od ${params.min} modula`
+                    : key,
+        };
+
+        expect(QRExport.checkStyle({ margin: 0 })[0].message).toBe(
+            'Tiha zona manja od 4 modula'
+        );
+    });
+});
+
+describe('QRExport.logoSize', () => {
+    test('sizes the badge from the error correction budget', () => {
+        // Version 1-H restores 8 codewords: half of them is 32 modules
+        expect(QRExport.logoSize(QREncoder.encode('K:PR', { ecc: 'H' }))).toBe(
+            5
+        );
+    });
+
+    test('keeps the badge within 30% of the side and of its parity', () => {
+        const qr = QREncoder.encode('x'.repeat(200), { ecc: 'H' });
+
+        expect(qr.size).toBe(77);
+        expect(QRExport.logoSize(qr)).toBe(23);
+    });
+
+    test('leaves the badge out when the budget is too small', () => {
+        expect(QRExport.logoSize(QREncoder.encode('K:PR|V:01'))).toBe(0);
+    });
+});
+
+describe('QRExport.layout', () => {
+    test('frames the code with a caption band and centres the badge', () => {
+        const box = QRExport.layout('K:PR|V:01|C:1', {
+            frame: true,
+            logo: true,
+        });
+
+        expect(box.qr).toMatchObject({ ecc: 'H', size: 25 });
+        expect(box).toMatchObject({
+            width: 35,
+            height: 40,
+            code: { x: 1, y: 1, size: 33 },
+            caption: { text: 'IPS skeniraj', x: 17.5, y: 37.5 },
+            logo: { x: 14, y: 14, size: 7 },
+            issues: [],
+        });
+    });
+
+    test('keeps codes with the badge readable', () => {
+        const box = QRExport.layout(PAYLOAD, { logo: true });
+        const { data, width } = toImage(box);
+
+        expect(box.logo.size).toBeGreaterThan(0);
+        expect(jsQR(data, width, width).data).toBe(PAYLOAD);
+    });
+
+    test('draws an SVG of the requested width in millimetres', () => {
+        const box = QRExport.layout('K:PR|V:01|C:1', {
+            frame: true,
+            caption: 'A & B',
+        });
+        const svg = new DOMParser().parseFromString(
+            QRExport.toSVG(box, 30),
+            'image/svg+xml'
+        ).documentElement;
+
+        expect(svg.getAttribute('viewBox')).toBe(
+            `0 0 ${box.width} ${box.height}`
+        );
+        expect(svg.getAttribute('width')).toBe('30mm');
+        expect(svg.getAttribute('height')).toBe(
+            `${+((30 * box.height) / box.width).toFixed(2)}mm`
+        );
+        expect(svg.querySelector('text').textContent).toBe('A & B');
+    });
+});
+
+describe('QRExport.toCanvas', () => {
+    test('refuses images over the pixel limit', () => {
+        const box = QRExport.layout('K:PR');
+
+        expect(QRExport.pixelsFor(50, 300)).toBe(591);
+        expect(() => QRExport.toCanvas(box, QRExport.MAX_PIXELS + 1)).toThrow(
+            'The image would be 10001 px wide; the limit is 10000'
+        );
+    });
+});
+
+describe('QRExport.setPngDpi', () => {
+    // Signature, IHDR of a 1x1 image and IEND
+    const PNG = Uint8Array.from(
+        Buffer.from(
+            '89504e470d0a1a0a0000000d4948445200000001000000010806000000' +
+                '1f15c4890000000049454e44ae426082',
+            'hex'
+        )
+    );
+
+    test('inserts a pHYs chunk after the header', () => {
+        const png = QRExport.setPngDpi(PNG, 72);
+        const chunk = Buffer.from(png.subarray(33, 54));
+
+        expect(png.length).toBe(PNG.length + 21);
+        expect(Buffer.from(png.subarray(0, 33))).toEqual(
+            Buffer.from(PNG.subarray(0, 33))
+        );
+        expect(Buffer.from(png.subarray(54))).toEqual(
+            Buffer.from(PNG.subarray(33))
+        );
+        // The usual 72 dpi chunk: 2835 pixels per metre, CRC 009a9c18
+        expect(chunk.toString('hex')).toBe(
+            '0000000970485973' + '00000b1300000b1301' + '009a9c18'
+        );
+    });
+
+    test.each([96, 300, 600])('checksums the chunk at %i dpi', (dpi) => {
+        const chunk = Buffer.from(
+            QRExport.setPngDpi(PNG, dpi).subarray(33, 54)
+        );
+        const perMetre = Math.round(dpi / 0.0254);
+
+        expect(chunk.readUInt32BE(8)).toBe(perMetre);
+        expect(chunk.readUInt32BE(12)).toBe(perMetre);
+        expect(chunk.readUInt32BE(17)).toBe(zlib.crc32(chunk.subarray(4, 17)));
+    });
+});
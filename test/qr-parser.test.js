@@ -0,0 +1,131 @@
+const IPSQRParser = require('../assets/js/qr-parser');
+
+const SAMPLE = [
+    'K:PR',
+    'V:01',
+    'C:1',
+    'R:845000000040484987',
+    'N:JP EPS BEOGRAD\r\nBALKANSKA 13',
+    'I:RSD3596,13',
+    'P:MARKO PETROVIĆ\r\nKNEZ MIHAILOVA 12\r\nBEOGRAD 11000',
+    'SF:189',
+    'S:UPLATA PO RAČUNU ZA EL. ENERGIJU',
+    'RO:97163220000111111111000',
+].join('|');
+
+function codes(text) {
+    return IPSQRParser.check(text).issues.map((issue) => issue.code);
+}
+
+function withTag(tag, value) {
+    return SAMPLE.replace(new RegExp(`\\|${tag}:[^|]*`), `|${tag}:${value}`);
+}
+
+describe('IPSQRParser.parse', () => {
+    test('splits a payload into tags in order', () => {
+        const { tags, order, issues } = IPSQRParser.parse(SAMPLE);
+
+        expect(issues).toEqual([]);
+        expect(order).toEqual([
+            'K',
+            'V',
+            'C',
+            'R',
+            'N',
+            'I',
+            'P',
+            'SF',
+            'S',
+            'RO',
+        ]);
+        expect(tags.R).toBe('845000000040484987');
+        expect(tags.N).toBe('JP EPS BEOGRAD\r\nBALKANSKA 13');
+    });
+
+    test('reports structural problems', () => {
+        expect(codes('')).toEqual(['empty']);
+        expect(codes(`${SAMPLE}|`)).toContain('trailingPipe');
+        expect(codes(`${SAMPLE}|XX:1`)).toContain('unknownTag');
+        expect(codes(`${SAMPLE}|RO:11`)).toContain('duplicateTag');
+        expect(codes(SAMPLE.replace('K:PR|V:01', 'V:01|K:PR'))).toContain(
+            'tagOrder'
+        );
+    });
+});
+
+describe('IPSQRParser.check', () => {
+    test('accepts the NBS sample payload', () => {
+        expect(codes(SAMPLE)).toEqual([]);
+    });
+
+    test('requires the tags of the payment type', () => {
+        const issues = IPSQRParser.check(SAMPLE.replace('|SF:189', '')).issues;
+
+        expect(issues).toContainEqual(
+            expect.objectContaining({ code: 'missingTag', tag: 'SF' })
+        );
+    });
+
+    test('rejects tags the payment type does not allow', () => {
+        expect(codes(withTag('RO', '97163220000111111111000|RL:X'))).toContain(
+            'tagNotAllowed'
+        );
+    });
+
+    test.each([
+        ['RSD3596,13', []],
+        ['RSD1', []],
+        ['RSD1,5', []],
+        ['RSD1,', ['invalidFormat']],
+        ['RSD1,234', ['invalidFormat']],
+        ['EUR10,00', ['invalidFormat']],
+        ['RSD0,00', ['zeroAmount']],
+    ])('amount %s', (amount, expected) => {
+        expect(codes(withTag('I', amount))).toEqual(expected);
+    });
+
+    test('checks the account control digits', () => {
+        const issues = IPSQRParser.check(
+            withTag('R', '845000000040484988')
+        ).issues;
+
+        expect(issues).toHaveLength(1);
+        expect(issues[0].code).toBe('invalidControlDigits');
+        expect(issues[0].params.suggestion).toBe('845000000040484987');
+    });
+
+    test('checks the model 97 reference', () => {
+        expect(codes(withTag('RO', '97173220000111111111000'))).toEqual([
+            'invalidReference',
+        ]);
+    });
+
+    test('checks free-text limits and characters', () => {
+        expect(codes(withTag('N', 'A'.repeat(71)))).toEqual(['tooLong']);
+        expect(codes(withTag('S', 'Plaćanje <račun>'))).toEqual([
+            'invalidCharacters',
+        ]);
+    });
+
+    test('rejects unknown payment codes', () => {
+        expect(codes(withTag('SF', '199'))).toEqual(['unknownPaymentCode']);
+    });
+});
+
+describe('IPSQRParser.validate', () => {
+    test('returns the NBS response shape', () => {
+        const response = IPSQRParser.validate(SAMPLE);
+
+        expect(response.s.code).toBe(0);
+        expect(response.t).toBe(SAMPLE);
+        expect(response.n.I).toBe('RSD3596,13');
+        expect(response.e).toBeUndefined();
+    });
+
+    test('lists error messages for an invalid payload', () => {
+        const response = IPSQRParser.validate(withTag('I', 'RSD0'));
+
+        expect(response.s.code).toBe(1);
+        expect(response.e).toEqual(['Amount (I) must be greater than zero']);
+    });
+});
@@ -0,0 +1,93 @@
+const ReferenceNumber = require('../assets/js/reference-number');
+
+describe('ReferenceNumber model 97', () => {
+    test('computes control digits', () => {
+        expect(ReferenceNumber.computeModel97('3220000111111111000')).toBe(
+            '16'
+        );
+    });
+
+    test('accepts correct control digits', () => {
+        expect(ReferenceNumber.check('97163220000111111111000')).toMatchObject({
+            model: '97',
+            checked: true,
+            valid: true,
+        });
+    });
+
+    test('suggests the correct control digits', () => {
+        const result = ReferenceNumber.check('97173220000111111111000');
+
+        expect(result.valid).toBe(false);
+        expect(result.code).toBe('model97Invalid');
+        expect(result.expected).toBe('16');
+        expect(result.suggestion).toBe('97163220000111111111000');
+    });
+
+    test('treats letters as two-digit numbers and ignores dashes', () => {
+        const control = ReferenceNumber.computeModel97('AB-12');
+
+        expect(control).toBe(ReferenceNumber.computeModel97('1011-12'));
+        expect(ReferenceNumber.check(`97${control}AB-12`).valid).toBe(true);
+    });
+
+    test('rejects a malformed reference', () => {
+        expect(ReferenceNumber.check('9').code).toBe('modelFormat');
+        expect(ReferenceNumber.check('9716 32').code).toBe('model97Format');
+    });
+});
+
+describe('ReferenceNumber model 11', () => {
+    test('computes the weighted control digit', () => {
+        expect(ReferenceNumber.computeModel11('12345')).toBe('5');
+    });
+
+    test('checks P1 and P2 but not P3', () => {
+        expect(ReferenceNumber.check('11123455-123455-999').valid).toBe(true);
+        expect(ReferenceNumber.check('11123456').params).toEqual({
+            part: 'P1',
+            value: '123456',
+            expected: '5',
+        });
+        expect(ReferenceNumber.check('1112-3-4-5').code).toBe('model11Format');
+    });
+});
+
+describe('ReferenceNumber other models', () => {
+    test('are not verified', () => {
+        expect(ReferenceNumber.check('00123')).toEqual({
+            model: '00',
+            checked: false,
+            valid: true,
+        });
+    });
+});
+
+describe('ReferenceNumber.applyModel97', () => {
+    test('inserts control digits and keeps every typed digit', () => {
+        expect(ReferenceNumber.applyModel97('971234')).toBe(
+            `97${ReferenceNumber.computeModel97('1234')}1234`
+        );
+        expect(ReferenceNumber.applyModel97('973220000111111111000')).toBe(
+            '97163220000111111111000'
+        );
+    });
+
+    test('leaves replacing wrong control digits to the check suggestion', () => {
+        const check = ReferenceNumber.check('97123220000111111111000');
+
+        expect(check.suggestion).toBe('97163220000111111111000');
+        expect(ReferenceNumber.applyModel97('97123220000111111111000')).toBe(
+            `97${ReferenceNumber.computeModel97('123220000111111111000')}123220000111111111000`
+        );
+    });
+
+    test('returns null when there is nothing to apply or no room', () => {
+        expect(ReferenceNumber.applyModel97('97')).toBeNull();
+        expect(ReferenceNumber.applyModel97('111234')).toBeNull();
+        expect(ReferenceNumber.applyModel97(`97${'1'.repeat(22)}`)).toBeNull();
+        expect(
+            ReferenceNumber.applyModel97(`97${'1'.repeat(21)}`)
+        ).toHaveLength(25);
+    });
+});
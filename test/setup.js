@@ -0,0 +1,19 @@
+// Jest setup shared by all tests
+// The modules under assets/js run as browser globals and as CommonJS modules;
+// the tests load them with require(). Every test starts with empty storage
+// and no i18n, so messages come from the English fallbacks.
+
+const { TextEncoder, TextDecoder } = require('util');
+
+// Server tests run in the node environment, without a window
+if (typeof window !== 'undefined') {
+    // jsdom does not provide the encoding API that browsers have
+    if (typeof window.TextEncoder === 'undefined') {
+        Object.assign(window, { TextEncoder, TextDecoder });
+    }
+
+    beforeEach(() => {
+        localStorage.clear();
+        delete window.i18n;
+    });
+}
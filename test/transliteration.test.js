@@ -0,0 +1,86 @@
+const Transliteration = require('../assets/js/transliteration');
+
+describe('Transliteration.toLatin', () => {
+    test.each([
+        ['Љубљана', 'Ljubljana'],
+        ['ЉУБЉАНА', 'LJUBLJANA'],
+        ['Његош', 'Njegoš'],
+        ['ЏЕП', 'DŽEP'],
+        ['ПОЉ', 'POLJ'],
+        ['Џ', 'Dž'],
+        ['Ђорђе Ћирић', 'Đorđe Ćirić'],
+        ['ул. Кнеза Милоша 12', 'ul. Kneza Miloša 12'],
+    ])('%s -> %s', (cyrillic, latin) => {
+        expect(Transliteration.toLatin(cyrillic)).toBe(latin);
+    });
+});
+
+describe('Transliteration.toCyrillic', () => {
+    test.each([
+        ['Ljubljana', 'Љубљана'],
+        ['LJUBLJANA', 'ЉУБЉАНА'],
+        ['Njegoš', 'Његош'],
+        ['DŽEP', 'ЏЕП'],
+        ['Đorđe Ćirić', 'Ђорђе Ћирић'],
+    ])('%s -> %s', (latin, cyrillic) => {
+        expect(Transliteration.toCyrillic(latin)).toBe(cyrillic);
+    });
+
+    test('keeps split digraphs in listed exceptions', () => {
+        expect(Transliteration.toCyrillic('nadživeti')).toBe('надживети');
+        expect(Transliteration.toCyrillic('konjugacija')).toBe('конјугација');
+        expect(Transliteration.toCyrillic('injekcija')).toBe('инјекција');
+    });
+
+    test('leaves foreign words in Latin', () => {
+        expect(Transliteration.toCyrillic('Xerox Beograd')).toBe(
+            'Xerox Београд'
+        );
+    });
+});
+
+describe('Transliteration.detectScript', () => {
+    test.each([
+        ['Београд', 'cyrillic'],
+        ['Beograd', 'latin'],
+        ['Beograd Београд', 'mixed'],
+        ['123', 'none'],
+    ])('%s is %s', (text, script) => {
+        expect(Transliteration.detectScript(text)).toBe(script);
+    });
+});
+
+describe('Transliteration.forPayload', () => {
+    const data = { N: 'Петар Петровић', S: 'Уплата', R: '845000000040484987' };
+
+    test('leaves data alone by default', () => {
+        expect(Transliteration.forPayload(data)).toBe(data);
+    });
+
+    test('converts text tags when sending in Latin', () => {
+        Transliteration.setSendLatin(true);
+
+        expect(Transliteration.forPayload(data)).toEqual({
+            N: 'Petar Petrović',
+            S: 'Uplata',
+            R: '845000000040484987',
+        });
+    });
+});
+
+describe('Transliteration.setSendLatin', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reports a preference the storage refuses', () => {
+        expect(Transliteration.setSendLatin(true)).toBe(true);
+
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new Error('QuotaExceededError');
+        });
+
+        expect(Transliteration.setSendLatin(false)).toBe(false);
+        expect(Transliteration.isSendLatin()).toBe(true);
+    });
+});